@@ -0,0 +1,143 @@
+import { VoxelType } from './voxel-types.js';
+
+// Biomes and how they are picked. Land biomes sit at a point in climate space
+// (temperature and humidity, each about -1 to 1) and every column is weighted
+// towards the biomes whose points are closest to its climate. Ocean is picked
+// by the continent noise instead: wherever the land dips low enough.
+//
+// A column's height is
+//   baseHeight + continent * continentScale + hills * hillScale + mountains * mountainScale
+// from noise shared by all biomes, so blending the biomes' parameters by
+// weight gives heights (and water levels) that change smoothly across borders.
+// Voxel types come from the column's dominant biome.
+
+export const BIOMES = {
+    plains: {
+        id: 'plains',
+        name: 'Plains',
+        temperature: 0.1,
+        humidity: 0,
+        baseHeight: 14,
+        continentScale: 6,
+        hillScale: 3,
+        mountainScale: 0,
+        surfaceType: VoxelType.GRASS,
+        subsurfaceType: VoxelType.DIRT,
+        subsurfaceDepth: 4,
+        underwaterType: VoxelType.SAND,
+        waterLevel: 8
+    },
+    desert: {
+        id: 'desert',
+        name: 'Desert',
+        temperature: 0.5,
+        humidity: -0.45,
+        baseHeight: 15,
+        continentScale: 6,
+        hillScale: 5,
+        mountainScale: 0,
+        surfaceType: VoxelType.SAND,
+        subsurfaceType: VoxelType.SAND,
+        subsurfaceDepth: 5,
+        underwaterType: VoxelType.SAND,
+        waterLevel: 6
+    },
+    mountains: {
+        id: 'mountains',
+        name: 'Mountains',
+        temperature: -0.15,
+        humidity: -0.45,
+        baseHeight: 20,
+        continentScale: 10,
+        hillScale: 6,
+        mountainScale: 36,
+        surfaceType: VoxelType.STONE,
+        subsurfaceType: VoxelType.STONE,
+        subsurfaceDepth: 0,
+        underwaterType: VoxelType.STONE,
+        waterLevel: 8,
+        snowLine: 44     // Surfaces above this height are snow
+    },
+    tundra: {
+        id: 'tundra',
+        name: 'Tundra',
+        temperature: -0.5,
+        humidity: 0,
+        baseHeight: 16,
+        continentScale: 8,
+        hillScale: 5,
+        mountainScale: 8,
+        surfaceType: VoxelType.SNOW,
+        subsurfaceType: VoxelType.DIRT,
+        subsurfaceDepth: 3,
+        underwaterType: VoxelType.DIRT,
+        waterLevel: 8,
+        frozen: true     // The top layer of water is ice
+    },
+    ocean: {
+        id: 'ocean',
+        name: 'Ocean',
+        temperature: null,
+        humidity: null,
+        baseHeight: -4,
+        continentScale: 10,
+        hillScale: 3,
+        mountainScale: 0,
+        surfaceType: VoxelType.SAND,
+        subsurfaceType: VoxelType.SAND,
+        subsurfaceDepth: 3,
+        underwaterType: VoxelType.SAND,
+        waterLevel: 8
+    },
+    swamp: {
+        id: 'swamp',
+        name: 'Swamp',
+        temperature: 0.35,
+        humidity: 0.45,
+        baseHeight: 9,
+        continentScale: 2,
+        hillScale: 2,
+        mountainScale: 0,
+        surfaceType: VoxelType.GRASS,
+        subsurfaceType: VoxelType.MUD,
+        subsurfaceDepth: 4,
+        underwaterType: VoxelType.MUD,
+        waterLevel: 10
+    }
+};
+
+const LAND_BIOMES = Object.values(BIOMES).filter(biome => biome.temperature !== null);
+
+// How much farther (in squared climate distance) than the closest biome a
+// land biome may be and still have weight; larger values give wider borders
+const CLIMATE_BLEND = 0.04;
+
+// Continent noise range over which land gives way to ocean
+const COAST_START = -0.05;
+const COAST_END = -0.25;
+
+// Weight of every biome for a column's climate and continent noise, as a
+// list of { biome, weight } with the weights summing to 1
+export function getBiomeWeights(temperature, humidity, continent) {
+    // Ocean takes over smoothly as the land drops below the coast
+    const t = Math.max(0, Math.min(1, (COAST_START - continent) / (COAST_START - COAST_END)));
+    const oceanWeight = t * t * (3 - 2 * t);
+
+    // Weight falls off smoothly to zero with the distance beyond the closest
+    // biome's (a cubic rather than Math.exp, which may differ between engines)
+    const distances = LAND_BIOMES.map(biome => {
+        const dt = temperature - biome.temperature;
+        const dh = humidity - biome.humidity;
+        return dt * dt + dh * dh;
+    });
+    const closest = Math.min(...distances);
+    const landWeights = distances.map(d => {
+        const falloff = Math.max(0, 1 - (d - closest) / CLIMATE_BLEND);
+        return falloff * falloff * falloff;
+    });
+    const landTotal = landWeights.reduce((sum, weight) => sum + weight, 0);
+
+    const weights = LAND_BIOMES.map((biome, i) => ({ biome, weight: (1 - oceanWeight) * landWeights[i] / landTotal }));
+    weights.push({ biome: BIOMES.ocean, weight: oceanWeight });
+    return weights;
+}
\ No newline at end of file
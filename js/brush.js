@@ -0,0 +1,125 @@
+import { VoxelType } from './voxel-types.js';
+import { BoxShape, SphereShape, CylinderShape, ConeShape } from './voxel-shapes.js';
+import { SimplexNoise } from './noise.js';
+
+// Sculpting brushes. A brush has a shape and size, a mode that decides which
+// voxels it changes, and optional softening: strength is the chance that a
+// voxel inside the brush is changed, falloff fades that chance towards the
+// edge and noise erodes the edge so strokes don't leave perfect geometry.
+
+export const BRUSH_SHAPES = ['sphere', 'cube', 'cylinder', 'cone'];
+
+// remove  - clear every voxel to air
+// add     - fill empty cells (air or fluids) with the brush type
+// replace - change only voxels of replaceType to the brush type
+// paint   - change the type of solid voxels on the surface (next to an empty cell)
+export const BRUSH_MODES = ['remove', 'add', 'replace', 'paint'];
+
+export class Brush {
+    constructor({
+        shape = 'sphere',
+        mode = 'remove',
+        radius = 3,
+        voxelType = VoxelType.STONE,
+        replaceType = null,
+        strength = 1,
+        falloff = 0,
+        noise = 0,
+        noiseScale = 0.3,
+        seed = 0,
+        random = Math.random
+    } = {}) {
+        if (!BRUSH_SHAPES.includes(shape)) {
+            throw new Error(`Unknown brush shape "${shape}" (expected one of ${BRUSH_SHAPES.join(', ')})`);
+        }
+        if (!BRUSH_MODES.includes(mode)) {
+            throw new Error(`Unknown brush mode "${mode}" (expected one of ${BRUSH_MODES.join(', ')})`);
+        }
+        if (!(radius >= 0)) {
+            throw new Error(`Brush radius must be zero or more, got ${radius}`);
+        }
+
+        this.shape = shape;
+        this.mode = mode;
+        this.radius = radius;
+        this.voxelType = voxelType;
+        this.replaceType = replaceType;
+        this.strength = strength;   // 0-1
+        this.falloff = falloff;     // 0-1, part of the radius over which the effect fades out
+        this.noise = noise;         // 0-1, how far (in radii) noise may erode the edge
+        this.noiseScale = noiseScale;
+        this.noiseField = new SimplexNoise(seed);  // Seeded, so a world's strokes erode the same way
+        this.random = random;
+    }
+
+    // The region the brush covers when centered on a voxel
+    createShape(center) {
+        const r = this.radius;
+        switch (this.shape) {
+            case 'sphere':
+                return new SphereShape(center, r);
+            case 'cube':
+                return new BoxShape(
+                    [Math.ceil(center[0] - r), Math.ceil(center[1] - r), Math.ceil(center[2] - r)],
+                    [Math.floor(center[0] + r), Math.floor(center[1] + r), Math.floor(center[2] + r)]
+                );
+            case 'cylinder':
+                return new CylinderShape(center, r);
+            case 'cone':
+                return new ConeShape(center, r);
+        }
+    }
+
+    // Distance of a voxel from the brush center scaled so the surface of the
+    // shape is at 1 (inside is below 1)
+    getDistance(center, x, y, z) {
+        const dx = x - center[0];
+        const dy = y - center[1];
+        const dz = z - center[2];
+        const r = this.radius || 1;
+
+        switch (this.shape) {
+            case 'sphere':
+                return Math.sqrt(dx * dx + dy * dy + dz * dz) / r;
+            case 'cube':
+                return Math.max(Math.abs(dx), Math.abs(dy), Math.abs(dz)) / r;
+            case 'cylinder':
+                return Math.max(Math.sqrt(dx * dx + dz * dz) / r, Math.abs(dy) / r);
+            case 'cone': {
+                // Inside while the distance from the axis is within the
+                // radius at that height and the voxel is above the base
+                const t = (dy + r) / (2 * r);
+                return Math.max(Math.sqrt(dx * dx + dz * dz) / r + t, -dy / r);
+            }
+        }
+    }
+
+    // Whether every voxel inside the shape is affected, so the brush can be
+    // applied as a plain shape fill
+    isSolid() {
+        return this.strength >= 1 && this.falloff <= 0 && this.noise <= 0;
+    }
+
+    // Chance (0-1) that the voxel at x, y, z is changed by a stroke at center
+    getWeight(center, x, y, z) {
+        let distance = this.getDistance(center, x, y, z);
+        if (this.noise > 0) {
+            // Noise mapped to 0-1 so it only ever erodes the edge inwards
+            const n = this.noiseField.noise3D(x * this.noiseScale, y * this.noiseScale, z * this.noiseScale);
+            distance += this.noise * (n + 1) / 2;
+        }
+        if (distance > 1) return 0;
+
+        let weight = this.strength;
+        if (this.falloff > 0 && distance > 1 - this.falloff) {
+            weight *= (1 - distance) / this.falloff;
+        }
+        return weight;
+    }
+
+    // Roll for a voxel; a weight of 1 always passes
+    affects(center, x, y, z) {
+        const weight = this.getWeight(center, x, y, z);
+        return weight >= 1 || (weight > 0 && this.random() < weight);
+    }
+}
\ No newline at end of file
@@ -1,13 +1,52 @@
-import { CHUNK_SIZE, RENDER_DISTANCE } from './constants.js';
-import { debugLog } from './math-utils.js';
+import { DEFAULT_WORLD_CONFIG } from './constants.js';
+import { debugLog, normalizeVector } from './math-utils.js';
 import { Chunk } from './voxel-data.js';
+import { STORAGE_TYPES, convertChunk, createChunkFromArray } from './chunk-storage.js';
+import { BoxShape, SphereShape, SHAPE_OUTSIDE } from './voxel-shapes.js';
+import { VoxelType } from './voxel-types.js';
+import { raycastChunk } from './voxel-raycast.js';
+import { MemoryStorageAdapter } from './world-storage.js';
+import { EditHistory, createChunkChange } from './edit-history.js';
+import { DEFAULT_COLLAPSE_OPTIONS, collapseFloatingTerrain } from './terrain-collapse.js';
 import { mat4 } from './math-utils.js';
 
 export class ChunkManager {
-    constructor(worldGenerator, mesher, renderer) {
+    constructor(worldGenerator, mesher, renderer, config = DEFAULT_WORLD_CONFIG, storage = null) {
         this.worldGenerator = worldGenerator;
         this.mesher = mesher;
         this.renderer = renderer;
+        this.config = config;
+
+        // Voxel type properties for spatial queries, shared with the mesher
+        this.voxelTypes = mesher.voxelTypes;
+
+        // Optional persistent storage for edited chunks (see world-storage.js).
+        // Nothing loads until initStorage() has listed the saved chunks.
+        this.storage = storage;
+        this.storageReady = storage === null;
+        this.savedKeys = new Set();      // Chunks that must be loaded instead of generated
+        this.pendingLoads = new Set();   // Chunks currently being read from storage
+        this.unreadableChunks = new Set(); // Saved chunks that failed to load; never generated or saved over
+        this.pendingSaves = new Map();   // Chunk key -> promise of its latest write
+        this.unsavedChunks = new Map();  // Chunk key -> serialized data of an unloaded chunk whose save failed
+        this.modifiedChunks = new Set(); // Loaded chunks edited since they were generated or loaded
+
+        // Edit transaction in progress (see beginEdit) and listeners for the
+        // change event each committed transaction emits
+        this.edit = null;
+        this.changeListeners = [];
+
+        // Undo/redo steps, one per committed transaction
+        this.history = new EditHistory();
+
+        // Options for dropping terrain left floating by an edit (see
+        // terrain-collapse.js), or null to leave it hanging
+        this.collapseOptions = null;
+
+        // Vertical world limit in chunk coordinates (inclusive); either end
+        // may be infinite for worlds without a floor or ceiling
+        this.minChunkY = config.minHeight / config.chunkSize;
+        this.maxChunkY = config.maxHeight / config.chunkSize - 1;
 
         this.chunks = new Map();  // Map of loaded chunks
         this.meshes = new Map();  // Map of chunk meshes
@@ -29,6 +68,11 @@ export class ChunkManager {
         return this.chunks.get(this.getChunkKey(x, y, z));
     }
 
+    // Check if a chunk row lies inside the vertical world limit
+    isChunkInWorld(chunkY) {
+        return chunkY >= this.minChunkY && chunkY <= this.maxChunkY;
+    }
+
     // Check if chunk exists
     hasChunk(x, y, z) {
         return this.chunks.has(this.getChunkKey(x, y, z));
@@ -39,29 +83,10 @@ export class ChunkManager {
         return this.meshes.get(this.getChunkKey(x, y, z));
     }
 
-    // Mark chunk as dirty (needs mesh rebuild)
-    markChunkDirty(x, y, z) {
-        const key = this.getChunkKey(x, y, z);
-        if (this.chunks.has(key)) {
-            this.dirtyChunks.add(key);
-            debugLog(`Marked chunk dirty: ${key}`);
-        }
-
-        // Also mark neighboring chunks as dirty if they could be affected
-        for (let dx = -1; dx <= 1; dx++) {
-            for (let dy = -1; dy <= 1; dy++) {
-                for (let dz = -1; dz <= 1; dz++) {
-                    if (dx === 0 && dy === 0 && dz === 0) continue;
-                    const neighborKey = this.getChunkKey(x + dx, y + dy, z + dz);
-                    if (this.chunks.has(neighborKey)) {
-                        this.dirtyChunks.add(neighborKey);
-                    }
-                }
-            }
-        }
-    }
-
-    // Create or get a chunk
+    // Create or get a chunk. Chunks with saved edits only ever come from
+    // storage, so until their load finishes (or if it failed) there is no
+    // chunk and null is returned; writes to it are then dropped rather than
+    // generating terrain that would later be saved over the edits.
     getOrCreateChunk(chunkX, chunkY, chunkZ) {
         const key = this.getChunkKey(chunkX, chunkY, chunkZ);
 
@@ -69,35 +94,435 @@ export class ChunkManager {
             return this.chunks.get(key);
         }
 
+        if (!this.storageReady || this.savedKeys.has(key)) {
+            if (this.storageReady && !this.pendingLoads.has(key) && !this.unreadableChunks.has(key)) {
+                this.loadSavedChunk(chunkX, chunkY, chunkZ);
+            }
+            debugLog(`Chunk ${key} is not loaded from storage yet`);
+            return null;
+        }
+
         // Generate a new chunk
         debugLog(`Creating new chunk at ${chunkX}, ${chunkY}, ${chunkZ}`);
         const chunk = this.worldGenerator.generateChunk(chunkX, chunkY, chunkZ);
 
+        this.addChunk(key, chunk);
+
+        return chunk;
+    }
+
+    // Register a generated or loaded chunk
+    addChunk(key, chunk) {
         this.chunks.set(key, chunk);
         this.dirtyChunks.add(key);
         this.totalChunks++;
+    }
+
+    // List the chunks saved in storage. Must complete before chunks load,
+    // otherwise saved chunks would be regenerated from scratch.
+    async initStorage() {
+        if (!this.storage) return;
+
+        try {
+            const keys = await this.storage.list();
+            this.savedKeys = new Set(keys);
+            debugLog(`Found ${keys.length} saved chunks`);
+        } catch (error) {
+            // Keep the world playable; edits then only survive unloading
+            console.error(`World storage unavailable, falling back to memory: ${error.message}`);
+            this.storage = new MemoryStorageAdapter();
+        }
+        this.storageReady = true;
+    }
+
+    // Read a saved chunk from storage. A chunk that is listed but not stored
+    // is generated instead; one that fails to load stays unloaded, so the
+    // stored data is never overwritten and may still be recovered.
+    async loadSavedChunk(chunkX, chunkY, chunkZ) {
+        const key = this.getChunkKey(chunkX, chunkY, chunkZ);
+        if (this.chunks.has(key) || this.pendingLoads.has(key)) return;
+        this.pendingLoads.add(key);
+
+        let chunk = null;
+        try {
+            // Never read a chunk back while its last write is still in flight
+            await this.pendingSaves.get(key);
+
+            // A failed save left the newest data in memory, not in storage
+            const unsaved = this.unsavedChunks.get(key);
+            const data = unsaved || await this.storage.load(key);
+            if (data) {
+                chunk = Chunk.deserialize(data);
+                if (chunk.size !== this.config.chunkSize) {
+                    throw new Error(`Saved chunk has size ${chunk.size}, world uses ${this.config.chunkSize}`);
+                }
+            }
+        } catch (error) {
+            console.error(`Failed to load chunk ${key}, leaving it unloaded: ${error.message}`);
+            this.unreadableChunks.add(key);
+            return;
+        } finally {
+            this.pendingLoads.delete(key);
+        }
+
+        if (chunk) {
+            debugLog(`Loaded saved chunk at ${chunkX}, ${chunkY}, ${chunkZ}`);
+            this.addChunk(key, chunk);
+
+            // Still to be written; the loaded chunk carries it from here
+            if (this.unsavedChunks.delete(key)) {
+                this.modifiedChunks.add(key);
+            }
+        } else {
+            this.savedKeys.delete(key);
+            this.getOrCreateChunk(chunkX, chunkY, chunkZ);
+        }
+    }
+
+    // Write a loaded chunk to storage
+    saveChunk(key, chunk) {
+        // The binary chunk format is the octree's
+        return this.writeChunkData(key, convertChunk(chunk, 'octree').serialize());
+    }
+
+    // Write serialized chunk data to storage. If the write fails the edits
+    // are kept for the next save: a loaded chunk is marked modified again,
+    // and the data of one unloaded since is held until a retry succeeds.
+    writeChunkData(key, data) {
+        this.savedKeys.add(key);
+        this.modifiedChunks.delete(key);
+        this.unsavedChunks.delete(key);
+
+        const previous = this.pendingSaves.get(key) || Promise.resolve();
+        const save = previous
+            .then(() => this.storage.save(key, data))
+            .catch(error => {
+                console.error(`Failed to save chunk ${key}, will retry: ${error.message}`);
+
+                // A newer save of the chunk supersedes this one
+                if (this.pendingSaves.get(key) !== save) return;
+                if (this.chunks.has(key)) {
+                    this.modifiedChunks.add(key);
+                } else {
+                    this.unsavedChunks.set(key, data);
+                }
+            })
+            .finally(() => {
+                if (this.pendingSaves.get(key) === save) {
+                    this.pendingSaves.delete(key);
+                }
+            });
+        this.pendingSaves.set(key, save);
+        return save;
+    }
+
+    // Save every loaded chunk edited since its last save (e.g. before the page
+    // closes). Edited chunks are octrees (see getWritableChunk); once saved,
+    // each is moved back to whichever backend now suits its content best.
+    saveModifiedChunks() {
+        if (!this.storage) return Promise.resolve();
+
+        const saves = [];
+        for (const [key, data] of this.unsavedChunks) {
+            saves.push(this.writeChunkData(key, data));
+        }
+        for (const key of this.modifiedChunks) {
+            saves.push(this.saveChunk(key, this.chunks.get(key)));
+            if (!this.edit) {
+                const [x, y, z] = key.split(',').map(Number);
+                this.optimizeChunk(x, y, z);
+            }
+        }
+        return Promise.all(saves);
+    }
+
+    // Get a chunk that can accept arbitrary voxel writes, converting uniform
+    // and palette chunks to an octree on first edit: region fills then
+    // replace whole subtrees, and history snapshots share nodes with the
+    // live chunk. Returns null for chunks that are not loaded from storage
+    // yet (see getOrCreateChunk).
+    getWritableChunk(chunkX, chunkY, chunkZ) {
+        let chunk = this.getOrCreateChunk(chunkX, chunkY, chunkZ);
+        if (!chunk) return null;
+
+        const key = this.getChunkKey(chunkX, chunkY, chunkZ);
+        if (chunk.storageType !== 'octree') {
+            chunk = convertChunk(chunk, 'octree');
+            this.chunks.set(key, chunk);
+        }
+
+        // Snapshot the chunk for the history before the edit first touches it
+        if (this.edit && this.edit.recordHistory && !this.edit.snapshots.has(key)) {
+            this.edit.snapshots.set(key, chunk.clone());
+        }
 
         return chunk;
     }
 
+    // Drop terrain left floating after edits (see terrain-collapse.js for the
+    // options), or pass null to turn collapsing off
+    setCollapseOptions(options) {
+        this.collapseOptions = options && { ...DEFAULT_COLLAPSE_OPTIONS, ...options };
+    }
+
+    // Start an edit transaction. Writes made until the matching commitEdit()
+    // only record which chunks (and which of their faces) they touched; dirty
+    // marking, the undo step and the change event all happen once at commit.
+    // Transactions nest: inner begin/commit pairs join the outermost one.
+    // Unless collapse is false, terrain the edit left floating falls before
+    // the commit (when collapse options are set), as part of the same step.
+    beginEdit({ recordHistory = true, collapse = true } = {}) {
+        if (this.edit) {
+            this.edit.depth++;
+            return;
+        }
+
+        this.edit = {
+            depth: 1,
+            recordHistory,
+            collapse,
+            snapshots: new Map(), // Chunk key -> chunk state before the first write
+            touched: new Map(),   // Chunk key -> { coords, faces } of changed chunks
+            cleared: [],          // [min, max] world boxes where solid voxels became open space
+            min: [Infinity, Infinity, Infinity],   // World-space bounds of the changes
+            max: [-Infinity, -Infinity, -Infinity]
+        };
+    }
+
+    // Finish the current transaction (see beginEdit)
+    commitEdit() {
+        const edit = this.edit;
+        if (!edit) {
+            throw new Error('commitEdit() called without a matching beginEdit()');
+        }
+
+        // Inner transactions only close themselves; everything else happens once, at the outermost
+        if (edit.depth > 1) {
+            edit.depth--;
+            return;
+        }
+
+        // Only terrain next to cleared cells can have lost its support. The
+        // falling terrain's own writes join this transaction without another pass.
+        if (edit.collapse && edit.cleared.length > 0) {
+            edit.collapse = false;
+            collapseFloatingTerrain(this, edit.cleared, this.collapseOptions);
+        }
+
+        this.edit = null;
+
+        // Rebuild each changed chunk, plus the neighbours behind the faces its changes reach
+        for (const [key, { coords, faces }] of edit.touched) {
+            this.modifiedChunks.add(key);
+            if (this.chunks.has(key)) {
+                this.dirtyChunks.add(key);
+            }
+
+            for (let face = 0; face < 6; face++) {
+                if (!(faces & (1 << face))) continue;
+
+                const neighbor = [...coords];
+                neighbor[face >> 1] += (face & 1) ? 1 : -1;
+                const neighborKey = this.getChunkKey(neighbor[0], neighbor[1], neighbor[2]);
+                if (this.chunks.has(neighborKey)) {
+                    this.dirtyChunks.add(neighborKey);
+                }
+            }
+        }
+
+        if (edit.recordHistory) {
+            const changes = [];
+            for (const [key, before] of edit.snapshots) {
+                const after = this.chunks.get(key);
+                const change = after && createChunkChange(key, before, after);
+                if (change) changes.push(change);
+            }
+            this.history.push(changes);
+        }
+
+        if (edit.touched.size > 0) {
+            this.emitChange({ min: edit.min, max: edit.max, chunks: [...edit.touched.keys()] });
+        }
+    }
+
+    // Run callback(chunkManager) inside one transaction
+    applyEdits(callback) {
+        this.beginEdit();
+        try {
+            return callback(this);
+        } finally {
+            this.commitEdit();
+        }
+    }
+
+    // Record that the world-space box between min and max (inclusive) may have
+    // turned solid voxels into open space, for the collapse at commit. Only
+    // needed while collapse is on for the transaction.
+    noteCleared(min, max) {
+        if (this.edit.collapse && this.collapseOptions) {
+            this.edit.cleared.push([min, max]);
+        }
+    }
+
+    // Whether writing voxelType over previousType clears solid terrain
+    isClearing(previousType, voxelType) {
+        return this.isEmptySpace(voxelType) && !this.isEmptySpace(previousType);
+    }
+
+    // Record a change inside one chunk, given as an inclusive box of local coordinates
+    noteEdit(chunkX, chunkY, chunkZ, localMin, localMax) {
+        const chunkSize = this.config.chunkSize;
+        const edit = this.edit;
+        const key = this.getChunkKey(chunkX, chunkY, chunkZ);
+        const origin = [chunkX * chunkSize, chunkY * chunkSize, chunkZ * chunkSize];
+
+        let entry = edit.touched.get(key);
+        if (!entry) {
+            entry = { coords: [chunkX, chunkY, chunkZ], faces: 0 };
+            edit.touched.set(key, entry);
+        }
+
+        // Face bits: 2 * axis for the low face, 2 * axis + 1 for the high face
+        for (let axis = 0; axis < 3; axis++) {
+            if (localMin[axis] === 0) entry.faces |= 1 << (axis * 2);
+            if (localMax[axis] === chunkSize - 1) entry.faces |= 1 << (axis * 2 + 1);
+
+            edit.min[axis] = Math.min(edit.min[axis], origin[axis] + localMin[axis]);
+            edit.max[axis] = Math.max(edit.max[axis], origin[axis] + localMax[axis]);
+        }
+    }
+
+    // Listen for committed edits. Listeners receive
+    // { min, max, chunks }: the inclusive world-space bounds and the chunk keys changed.
+    addChangeListener(listener) {
+        this.changeListeners.push(listener);
+    }
+
+    removeChangeListener(listener) {
+        this.changeListeners = this.changeListeners.filter(l => l !== listener);
+    }
+
+    emitChange(event) {
+        for (const listener of this.changeListeners) {
+            listener(event);
+        }
+    }
+
+    // Revert the most recent edit step. Returns false if there is nothing to
+    // undo, or if a chunk the step changed is not loaded; the step then stays
+    // on the undo stack so it can be applied once the chunk is back.
+    undo() {
+        const step = this.history.peekUndo();
+        if (!step || !this.canApplyHistoryStep(step, 'undo')) return false;
+
+        this.history.takeUndo();
+        this.applyHistoryStep(step, 'undo');
+        debugLog(`Undid edit across ${step.changes.length} chunks`);
+        return true;
+    }
+
+    // Reapply the most recently undone step. Returns false if there is nothing
+    // to redo, or (leaving the step on the redo stack) if a chunk it changed
+    // is not loaded.
+    redo() {
+        const step = this.history.peekRedo();
+        if (!step || !this.canApplyHistoryStep(step, 'redo')) return false;
+
+        this.history.takeRedo();
+        this.applyHistoryStep(step, 'redo');
+        debugLog(`Redid edit across ${step.changes.length} chunks`);
+        return true;
+    }
+
+    // Patches only apply to the state they were recorded against, so a step
+    // must reach every chunk it changed or none of them
+    canApplyHistoryStep(step, direction) {
+        const missing = step.changes.find(change => !this.chunks.has(change.key));
+        if (missing) {
+            debugLog(`Cannot ${direction}: chunk ${missing.key} is not loaded`);
+            return false;
+        }
+        return true;
+    }
+
+    // Apply one direction ('undo' or 'redo') of a history step. Every chunk
+    // it changed must be loaded (see canApplyHistoryStep).
+    applyHistoryStep(step, direction) {
+        this.beginEdit({ recordHistory: false, collapse: false });
+
+        for (const change of step.changes) {
+            const [chunkX, chunkY, chunkZ] = change.key.split(',').map(Number);
+            let chunk = this.getChunk(chunkX, chunkY, chunkZ);
+
+            // Patches are applied to the octree backend
+            if (chunk.storageType !== 'octree') {
+                chunk = convertChunk(chunk, 'octree');
+                this.chunks.set(change.key, chunk);
+            }
+
+            const patch = Chunk.deserializePatch(change[direction]);
+            if (chunk.applyPatch(patch)) {
+                for (const { x, y, z, size } of patch) {
+                    this.noteEdit(chunkX, chunkY, chunkZ, [x, y, z], [x + size - 1, y + size - 1, z + size - 1]);
+                }
+            }
+        }
+
+        this.commitEdit();
+    }
+
+    // Re-pick the storage backend of a loaded chunk based on its current content
+    optimizeChunk(chunkX, chunkY, chunkZ) {
+        const chunk = this.getChunk(chunkX, chunkY, chunkZ);
+        if (!chunk) return null;
+
+        const optimized = createChunkFromArray(chunk.toArray(), { metadata: chunk.toMetadataArray() });
+        this.chunks.set(this.getChunkKey(chunkX, chunkY, chunkZ), optimized);
+        return optimized;
+    }
+
+    // Chunk count and estimated memory usage per storage backend
+    getMemoryStats() {
+        const stats = {};
+        for (const storageType of STORAGE_TYPES) {
+            stats[storageType] = { chunks: 0, bytes: 0 };
+        }
+
+        for (const chunk of this.chunks.values()) {
+            const entry = stats[chunk.storageType];
+            entry.chunks++;
+            entry.bytes += chunk.getMemoryUsage();
+        }
+
+        return stats;
+    }
+
     // Update chunks based on player position
     updateChunks(playerX, playerY, playerZ) {
+        const { chunkSize, renderDistance } = this.config;
+
         // Convert player position to chunk coordinates
-        const centerChunkX = Math.floor(playerX / CHUNK_SIZE);
-        const centerChunkY = Math.floor(playerY / CHUNK_SIZE);
-        const centerChunkZ = Math.floor(playerZ / CHUNK_SIZE);
-
-        // Add chunks that should be loaded to queue
-        for (let x = centerChunkX - RENDER_DISTANCE; x <= centerChunkX + RENDER_DISTANCE; x++) {
-            for (let y = 0; y <= centerChunkY + RENDER_DISTANCE; y++) {
-                for (let z = centerChunkZ - RENDER_DISTANCE; z <= centerChunkZ + RENDER_DISTANCE; z++) {
+        const centerChunkX = Math.floor(playerX / chunkSize);
+        const centerChunkY = Math.floor(playerY / chunkSize);
+        const centerChunkZ = Math.floor(playerZ / chunkSize);
+
+        // Only rows inside the vertical world limit are ever loaded
+        const minY = Math.max(this.minChunkY, centerChunkY - renderDistance);
+        const maxY = Math.min(this.maxChunkY, centerChunkY + renderDistance);
+
+        // Rebuild the load queue from scratch so it never holds stale or
+        // duplicate entries from earlier frames
+        this.loadQueue = [];
+        for (let x = centerChunkX - renderDistance; x <= centerChunkX + renderDistance; x++) {
+            for (let y = minY; y <= maxY; y++) {
+                for (let z = centerChunkZ - renderDistance; z <= centerChunkZ + renderDistance; z++) {
                     // Skip chunks that are too far away (use spherical distance)
                     const dx = x - centerChunkX;
                     const dy = y - centerChunkY;
                     const dz = z - centerChunkZ;
                     const distSquared = dx * dx + dy * dy + dz * dz;
 
-                    if (distSquared <= RENDER_DISTANCE * RENDER_DISTANCE && !this.hasChunk(x, y, z)) {
+                    if (distSquared <= renderDistance * renderDistance && !this.hasChunk(x, y, z)) {
                         // Prioritize chunks closer to player
                         this.loadQueue.push({ coords: [x, y, z], dist: distSquared });
                     }
@@ -108,30 +533,42 @@ export class ChunkManager {
         // Sort load queue by distance for priority loading
         this.loadQueue.sort((a, b) => a.dist - b.dist);
 
-        // Add chunks that should be unloaded to queue
-        for (const [key, chunk] of this.chunks.entries()) {
+        // Queue chunks that are too far away or outside the vertical limit
+        this.unloadQueue = [];
+        for (const key of this.chunks.keys()) {
             const [x, y, z] = key.split(',').map(Number);
             const dx = x - centerChunkX;
             const dy = y - centerChunkY;
             const dz = z - centerChunkZ;
             const distSquared = dx * dx + dy * dy + dz * dz;
 
-            if (distSquared > RENDER_DISTANCE * RENDER_DISTANCE * 1.5) { // 1.5x radius for unloading
-                this.unloadQueue.push([x, y, z]);
+            if (!this.isChunkInWorld(y)) {
+                this.unloadQueue.push({ coords: [x, y, z], dist: Infinity });
+            } else if (distSquared > renderDistance * renderDistance * 1.5) { // 1.5x radius for unloading
+                this.unloadQueue.push({ coords: [x, y, z], dist: distSquared });
             }
         }
 
-        // Process load queue (limited per frame)
+        // Unload the farthest chunks first
+        this.unloadQueue.sort((a, b) => b.dist - a.dist);
+
+        // Process load queue (limited per frame). Saved chunks are read from
+        // storage in the background; everything else is generated.
         const loadLimit = 2;
         let loaded = 0;
 
-        while (this.loadQueue.length > 0 && loaded < loadLimit) {
-            const { coords } = this.loadQueue.shift();
-            const [x, y, z] = coords;
-            if (!this.hasChunk(x, y, z)) {
+        while (this.storageReady && this.loadQueue.length > 0 && loaded < loadLimit) {
+            const [x, y, z] = this.loadQueue.shift().coords;
+            const key = this.getChunkKey(x, y, z);
+
+            if (this.pendingLoads.has(key) || this.unreadableChunks.has(key)) continue;
+
+            if (this.savedKeys.has(key)) {
+                this.loadSavedChunk(x, y, z);
+            } else {
                 this.getOrCreateChunk(x, y, z);
-                loaded++;
             }
+            loaded++;
         }
 
         // Process unload queue
@@ -139,7 +576,7 @@ export class ChunkManager {
         let unloaded = 0;
 
         while (this.unloadQueue.length > 0 && unloaded < unloadLimit) {
-            const [x, y, z] = this.unloadQueue.shift();
+            const [x, y, z] = this.unloadQueue.shift().coords;
             this.unloadChunk(x, y, z);
             unloaded++;
         }
@@ -156,9 +593,7 @@ export class ChunkManager {
     updateNodeCount() {
         let nodeCount = 0;
         for (const chunk of this.chunks.values()) {
-            if (chunk.rootNode) {
-                nodeCount += chunk.countNodes ? chunk.countNodes() : 1;
-            }
+            nodeCount += chunk.countNodes();
         }
         this.totalNodes = nodeCount;
     }
@@ -168,6 +603,12 @@ export class ChunkManager {
         const key = this.getChunkKey(x, y, z);
 
         if (this.chunks.has(key)) {
+            // Keep edits: modified chunks go to storage before they are dropped
+            if (this.storage && this.modifiedChunks.has(key)) {
+                this.saveChunk(key, this.chunks.get(key));
+            }
+            this.modifiedChunks.delete(key);
+
             this.chunks.delete(key);
 
             // Delete mesh if it exists
@@ -212,7 +653,8 @@ export class ChunkManager {
                 }
 
                 // Create WebGL mesh
-                const worldOffset = [x * CHUNK_SIZE, y * CHUNK_SIZE, z * CHUNK_SIZE];
+                const chunkSize = this.config.chunkSize;
+                const worldOffset = [x * chunkSize, y * chunkSize, z * chunkSize];
                 const glMesh = this.renderer.createMesh(mesh, worldOffset);
 
                 // Delete old mesh if it exists
@@ -239,10 +681,12 @@ export class ChunkManager {
 
     // Get voxel at world coordinates
     getVoxel(worldX, worldY, worldZ) {
+        const chunkSize = this.config.chunkSize;
+
         // Convert to chunk coordinates
-        const chunkX = Math.floor(worldX / CHUNK_SIZE);
-        const chunkY = Math.floor(worldY / CHUNK_SIZE);
-        const chunkZ = Math.floor(worldZ / CHUNK_SIZE);
+        const chunkX = Math.floor(worldX / chunkSize);
+        const chunkY = Math.floor(worldY / chunkSize);
+        const chunkZ = Math.floor(worldZ / chunkSize);
 
         // Get chunk
         const chunk = this.getChunk(chunkX, chunkY, chunkZ);
@@ -251,101 +695,620 @@ export class ChunkManager {
         }
 
         // Convert to local coordinates
-        const localX = ((worldX % CHUNK_SIZE) + CHUNK_SIZE) % CHUNK_SIZE;
-        const localY = ((worldY % CHUNK_SIZE) + CHUNK_SIZE) % CHUNK_SIZE;
-        const localZ = ((worldZ % CHUNK_SIZE) + CHUNK_SIZE) % CHUNK_SIZE;
+        const localX = ((worldX % chunkSize) + chunkSize) % chunkSize;
+        const localY = ((worldY % chunkSize) + chunkSize) % chunkSize;
+        const localZ = ((worldZ % chunkSize) + chunkSize) % chunkSize;
 
         return chunk.getVoxel(localX, localY, localZ);
     }
 
-    // Set voxel at world coordinates
-    setVoxel(worldX, worldY, worldZ, voxelType) {
+    // Get the metadata channel at world coordinates
+    getVoxelData(worldX, worldY, worldZ) {
+        const chunkSize = this.config.chunkSize;
+        const chunk = this.getChunk(
+            Math.floor(worldX / chunkSize),
+            Math.floor(worldY / chunkSize),
+            Math.floor(worldZ / chunkSize)
+        );
+        if (!chunk) {
+            return 0; // Assume no metadata if chunk not loaded
+        }
+
+        const localX = ((worldX % chunkSize) + chunkSize) % chunkSize;
+        const localY = ((worldY % chunkSize) + chunkSize) % chunkSize;
+        const localZ = ((worldZ % chunkSize) + chunkSize) % chunkSize;
+
+        return chunk.getVoxelData(localX, localY, localZ);
+    }
+
+    // Set the metadata channel at world coordinates, keeping the voxel type
+    setVoxelData(worldX, worldY, worldZ, metadata) {
+        const chunkSize = this.config.chunkSize;
+        if (!this.isChunkInWorld(Math.floor(worldY / chunkSize))) {
+            return; // Outside the vertical world limit
+        }
+
+        // Make sure the chunk is loaded so the existing type is read from real data
+        const chunk = this.getOrCreateChunk(
+            Math.floor(worldX / chunkSize),
+            Math.floor(worldY / chunkSize),
+            Math.floor(worldZ / chunkSize)
+        );
+        if (!chunk) return;
+
+        this.setVoxel(worldX, worldY, worldZ, this.getVoxel(worldX, worldY, worldZ), metadata);
+    }
+
+    // Set voxel (and optional metadata) at world coordinates
+    setVoxel(worldX, worldY, worldZ, voxelType, metadata = 0) {
+        if (!this.edit) {
+            return this.applyEdits(() => this.setVoxel(worldX, worldY, worldZ, voxelType, metadata));
+        }
+
+        const chunkSize = this.config.chunkSize;
+
         // Convert to chunk coordinates
-        const chunkX = Math.floor(worldX / CHUNK_SIZE);
-        const chunkY = Math.floor(worldY / CHUNK_SIZE);
-        const chunkZ = Math.floor(worldZ / CHUNK_SIZE);
+        const chunkX = Math.floor(worldX / chunkSize);
+        const chunkY = Math.floor(worldY / chunkSize);
+        const chunkZ = Math.floor(worldZ / chunkSize);
+
+        if (!this.isChunkInWorld(chunkY)) {
+            return; // Outside the vertical world limit
+        }
 
         // Convert to local coordinates within chunk
-        const localX = ((worldX % CHUNK_SIZE) + CHUNK_SIZE) % CHUNK_SIZE;
-        const localY = ((worldY % CHUNK_SIZE) + CHUNK_SIZE) % CHUNK_SIZE;
-        const localZ = ((worldZ % CHUNK_SIZE) + CHUNK_SIZE) % CHUNK_SIZE;
+        const localX = ((worldX % chunkSize) + chunkSize) % chunkSize;
+        const localY = ((worldY % chunkSize) + chunkSize) % chunkSize;
+        const localZ = ((worldZ % chunkSize) + chunkSize) % chunkSize;
 
         debugLog(`Setting voxel at ${worldX},${worldY},${worldZ} (chunk ${chunkX},${chunkY},${chunkZ}, local ${localX},${localY},${localZ})`);
 
+        // Writing the value a voxel already has changes nothing
+        const current = this.getChunk(chunkX, chunkY, chunkZ);
+        if (current && current.getVoxel(localX, localY, localZ) === voxelType &&
+            current.getVoxelData(localX, localY, localZ) === metadata) {
+            return;
+        }
+
         // Get or create chunk
-        let chunk = this.getChunk(chunkX, chunkY, chunkZ);
-        if (!chunk) {
-            chunk = this.getOrCreateChunk(chunkX, chunkY, chunkZ);
+        const chunk = this.getWritableChunk(chunkX, chunkY, chunkZ);
+        if (!chunk) return;
+
+        // Update voxel in chunk; dirty marking happens when the transaction commits
+        if (this.isClearing(chunk.getVoxel(localX, localY, localZ), voxelType)) {
+            const cell = [worldX, worldY, worldZ];
+            this.noteCleared(cell, cell);
         }
+        chunk.setVoxel(localX, localY, localZ, voxelType, metadata);
+        this.noteEdit(chunkX, chunkY, chunkZ, [localX, localY, localZ], [localX, localY, localZ]);
+    }
+
+    // Set many voxels in one transaction. Each entry is [worldX, worldY, worldZ, type, metadata?].
+    // Returns the number of chunks written to.
+    setVoxels(voxels) {
+        if (!this.edit) {
+            return this.applyEdits(() => this.setVoxels(voxels));
+        }
+
+        const chunkSize = this.config.chunkSize;
+        const touched = new Set();
 
-        // Update voxel in chunk
-        chunk.setVoxel(localX, localY, localZ, voxelType);
+        for (const [worldX, worldY, worldZ, voxelType, metadata = 0] of voxels) {
+            const chunkX = Math.floor(worldX / chunkSize);
+            const chunkY = Math.floor(worldY / chunkSize);
+            const chunkZ = Math.floor(worldZ / chunkSize);
 
-        // Mark chunk as dirty
-        this.markChunkDirty(chunkX, chunkY, chunkZ);
+            if (!this.isChunkInWorld(chunkY)) continue; // Outside the vertical world limit
 
-        // Mark neighboring chunks as dirty if this voxel is on a boundary
-        if (localX === 0) this.markChunkDirty(chunkX - 1, chunkY, chunkZ);
-        if (localX === CHUNK_SIZE - 1) this.markChunkDirty(chunkX + 1, chunkY, chunkZ);
-        if (localY === 0) this.markChunkDirty(chunkX, chunkY - 1, chunkZ);
-        if (localY === CHUNK_SIZE - 1) this.markChunkDirty(chunkX, chunkY + 1, chunkZ);
-        if (localZ === 0) this.markChunkDirty(chunkX, chunkY, chunkZ - 1);
-        if (localZ === CHUNK_SIZE - 1) this.markChunkDirty(chunkX, chunkY, chunkZ + 1);
+            const local = [worldX - chunkX * chunkSize, worldY - chunkY * chunkSize, worldZ - chunkZ * chunkSize];
+
+            // Writing the value a voxel already has changes nothing, so the
+            // chunk is neither converted, snapshotted nor marked modified
+            const current = this.getChunk(chunkX, chunkY, chunkZ);
+            if (current && current.getVoxel(local[0], local[1], local[2]) === voxelType &&
+                current.getVoxelData(local[0], local[1], local[2]) === metadata) continue;
+
+            const chunk = this.getWritableChunk(chunkX, chunkY, chunkZ);
+            if (!chunk) continue;
+
+            if (this.isClearing(chunk.getVoxel(local[0], local[1], local[2]), voxelType)) {
+                const cell = [worldX, worldY, worldZ];
+                this.noteCleared(cell, cell);
+            }
+            chunk.setVoxel(local[0], local[1], local[2], voxelType, metadata);
+
+            this.noteEdit(chunkX, chunkY, chunkZ, local, local);
+            touched.add(this.getChunkKey(chunkX, chunkY, chunkZ));
+        }
+
+        debugLog(`Set ${voxels.length} voxels across ${touched.size} chunks`);
+        return touched.size;
+    }
+
+    // Fill a world-space shape, splitting it across the chunks it overlaps.
+    // Each chunk assigns whole octree subtrees where the shape covers them.
+    // Returns how much the number of non-empty voxels changed (negative when
+    // the fill cleared voxels), from each chunk's count before and after.
+    fillShape(shape, voxelType, metadata = 0) {
+        if (!this.edit) {
+            return this.applyEdits(() => this.fillShape(shape, voxelType, metadata));
+        }
+
+        const chunkSize = this.config.chunkSize;
+        const { min, max } = shape.bounds;
+        const minChunk = min.map(v => Math.floor(v / chunkSize));
+        const maxChunk = max.map(v => Math.floor(v / chunkSize));
+
+        // Clip to the vertical world limit
+        minChunk[1] = Math.max(minChunk[1], this.minChunkY);
+        maxChunk[1] = Math.min(maxChunk[1], this.maxChunkY);
+
+        // Filling with open space may clear anything inside the shape
+        if (this.isEmptySpace(voxelType)) {
+            this.noteCleared(min, max);
+        }
+
+        let nonEmptyChange = 0;
+
+        for (let chunkX = minChunk[0]; chunkX <= maxChunk[0]; chunkX++) {
+            for (let chunkY = minChunk[1]; chunkY <= maxChunk[1]; chunkY++) {
+                for (let chunkZ = minChunk[2]; chunkZ <= maxChunk[2]; chunkZ++) {
+                    const localShape = shape.translated(-chunkX * chunkSize, -chunkY * chunkSize, -chunkZ * chunkSize);
+                    const chunk = this.getWritableChunk(chunkX, chunkY, chunkZ);
+                    if (!chunk) continue;
+
+                    const nonEmptyBefore = chunk.nonEmptyVoxelCount;
+                    if (chunk.fillShape(localShape, voxelType, metadata)) {
+                        // The shape's bounds, clipped to this chunk, tell which faces it reached
+                        const localMin = localShape.bounds.min.map(v => Math.max(0, v));
+                        const localMax = localShape.bounds.max.map(v => Math.min(chunkSize - 1, v));
+                        this.noteEdit(chunkX, chunkY, chunkZ, localMin, localMax);
+                        nonEmptyChange += chunk.nonEmptyVoxelCount - nonEmptyBefore;
+                    }
+                }
+            }
+        }
+
+        return nonEmptyChange;
+    }
+
+    // Fill the world-space box between min and max (inclusive)
+    fillBox(min, max, voxelType, metadata = 0) {
+        debugLog(`Filling box ${min} - ${max} with type ${voxelType}`);
+        this.fillShape(new BoxShape(min, max), voxelType, metadata);
+    }
+
+    // Fill every voxel within radius of a world-space center
+    fillSphere(center, radius, voxelType, metadata = 0) {
+        debugLog(`Filling sphere at ${center} radius ${radius} with type ${voxelType}`);
+        this.fillShape(new SphereShape(center, radius), voxelType, metadata);
     }
 
     // Create a crater at world coordinates
     createCrater(worldX, worldY, worldZ, radius) {
         debugLog(`Creating crater at ${worldX}, ${worldY}, ${worldZ} with radius ${radius}`);
 
-        const radiusSquared = radius * radius;
+        this.fillSphere([Math.floor(worldX), Math.floor(worldY), Math.floor(worldZ)], radius, 0);
+    }
 
-        for (let dx = -radius; dx <= radius; dx++) {
-            for (let dy = -radius; dy <= radius; dy++) {
-                for (let dz = -radius; dz <= radius; dz++) {
-                    const distSquared = dx * dx + dy * dy + dz * dz;
-                    if (distSquared <= radiusSquared) {
-                        this.setVoxel(Math.floor(worldX + dx), Math.floor(worldY + dy), Math.floor(worldZ + dz), 0);
+    // Apply a sculpting brush (see brush.js) centered on a world voxel as one
+    // edit. Returns the number of voxels changed.
+    applyBrush(brush, center) {
+        if (!this.edit) {
+            return this.applyEdits(() => this.applyBrush(brush, center));
+        }
+
+        center = center.map(Math.floor);
+        const shape = brush.createShape(center);
+        debugLog(`Applying ${brush.shape} brush (${brush.mode}, radius ${brush.radius}) at ${center}`);
+
+        // Cleared as whole octree subtrees; every voxel the fill removed was non-empty before
+        if (brush.mode === 'remove' && brush.isSolid()) {
+            return -this.fillShape(shape, VoxelType.AIR);
+        }
+        if (brush.mode === 'replace' && brush.replaceType === null) {
+            throw new Error('Replace brush needs a replaceType');
+        }
+
+        // Decide every change from the state before the stroke, so painted
+        // voxels don't expose or hide the surface for their neighbours
+        const isEmpty = (type) => this.isEmptySpace(type);
+        const { min, max } = shape.bounds;
+        const changes = [];
+
+        for (let y = min[1]; y <= max[1]; y++) {
+            for (let z = min[2]; z <= max[2]; z++) {
+                for (let x = min[0]; x <= max[0]; x++) {
+                    if (shape.classify(x, y, z, 1) === SHAPE_OUTSIDE) continue;
+
+                    const current = this.getVoxel(x, y, z);
+                    let target;
+                    switch (brush.mode) {
+                        case 'remove':
+                            if (current === VoxelType.AIR) continue;
+                            target = VoxelType.AIR;
+                            break;
+                        case 'add':
+                            if (!isEmpty(current)) continue;
+                            target = brush.voxelType;
+                            break;
+                        case 'replace':
+                            if (current !== brush.replaceType) continue;
+                            target = brush.voxelType;
+                            break;
+                        case 'paint':
+                            if (isEmpty(current) || current === brush.voxelType) continue;
+                            if (!isEmpty(this.getVoxel(x - 1, y, z)) && !isEmpty(this.getVoxel(x + 1, y, z)) &&
+                                !isEmpty(this.getVoxel(x, y - 1, z)) && !isEmpty(this.getVoxel(x, y + 1, z)) &&
+                                !isEmpty(this.getVoxel(x, y, z - 1)) && !isEmpty(this.getVoxel(x, y, z + 1))) continue;
+                            target = brush.voxelType;
+                            break;
+                    }
+                    if (target === current || !brush.affects(center, x, y, z)) continue;
+
+                    changes.push([x, y, z, target]);
+                }
+            }
+        }
+
+        this.setVoxels(changes);
+        return changes.length;
+    }
+
+    // Fill the 6-connected region of voxels sharing the start voxel's type
+    // with newType. The fill crosses chunk boundaries but stops at unloaded
+    // chunks, the vertical world limit and the optional min/max box. Returns
+    // the number of voxels changed, or null if the fill was refused because
+    // the region holds more than maxVoxels voxels (e.g. open sky); nothing is
+    // changed then.
+    floodFill(start, newType, { maxVoxels = 100000, metadata = 0, min = null, max = null } = {}) {
+        if (!this.edit) {
+            return this.applyEdits(() => this.floodFill(start, newType, { maxVoxels, metadata, min, max }));
+        }
+
+        const chunkSize = this.config.chunkSize;
+        const [startX, startY, startZ] = start.map(Math.floor);
+        const fromType = this.getVoxel(startX, startY, startZ);
+
+        const canFill = (x, y, z) => {
+            if (min && (x < min[0] || y < min[1] || z < min[2])) return false;
+            if (max && (x > max[0] || y > max[1] || z > max[2])) return false;
+            const chunkY = Math.floor(y / chunkSize);
+            if (!this.isChunkInWorld(chunkY)) return false;
+            if (!this.hasChunk(Math.floor(x / chunkSize), chunkY, Math.floor(z / chunkSize))) return false;
+            return this.getVoxel(x, y, z) === fromType;
+        };
+
+        if ((fromType === newType && this.getVoxelData(startX, startY, startZ) === metadata) ||
+            !canFill(startX, startY, startZ)) {
+            return 0;
+        }
+
+        const visited = new Set([`${startX},${startY},${startZ}`]);
+        const region = [];
+        const stack = [[startX, startY, startZ]];
+
+        while (stack.length > 0) {
+            const [x, y, z] = stack.pop();
+            region.push([x, y, z, newType, metadata]);
+            if (region.length > maxVoxels) {
+                debugLog(`Flood fill from ${start} refused: region exceeds ${maxVoxels} voxels`);
+                return null;
+            }
+
+            for (const [nx, ny, nz] of [[x - 1, y, z], [x + 1, y, z], [x, y - 1, z], [x, y + 1, z], [x, y, z - 1], [x, y, z + 1]]) {
+                const key = `${nx},${ny},${nz}`;
+                if (visited.has(key)) continue;
+                visited.add(key);
+                if (canFill(nx, ny, nz)) stack.push([nx, ny, nz]);
+            }
+        }
+
+        debugLog(`Flood filling ${region.length} voxels of type ${fromType} with type ${newType}`);
+        this.setVoxels(region);
+        return region.length;
+    }
+
+    // Change every voxel of fromType in the world-space box between min and
+    // max (inclusive) to toType. Returns the number of voxels changed.
+    replaceInBox(min, max, fromType, toType, metadata = 0) {
+        if (!this.edit) {
+            return this.applyEdits(() => this.replaceInBox(min, max, fromType, toType, metadata));
+        }
+
+        const chunkSize = this.config.chunkSize;
+        const { min: boxMin, max: boxMax } = new BoxShape(min, max).bounds;
+        const minChunk = boxMin.map(v => Math.floor(v / chunkSize));
+        const maxChunk = boxMax.map(v => Math.floor(v / chunkSize));
+
+        // Clip to the vertical world limit
+        minChunk[1] = Math.max(minChunk[1], this.minChunkY);
+        maxChunk[1] = Math.min(maxChunk[1], this.maxChunkY);
+
+        let replaced = 0;
+
+        for (let chunkX = minChunk[0]; chunkX <= maxChunk[0]; chunkX++) {
+            for (let chunkY = minChunk[1]; chunkY <= maxChunk[1]; chunkY++) {
+                for (let chunkZ = minChunk[2]; chunkZ <= maxChunk[2]; chunkZ++) {
+                    const origin = [chunkX * chunkSize, chunkY * chunkSize, chunkZ * chunkSize];
+                    const localMin = boxMin.map((v, axis) => Math.max(0, v - origin[axis]));
+                    const localMax = boxMax.map((v, axis) => Math.min(chunkSize - 1, v - origin[axis]));
+
+                    let chunk = this.getOrCreateChunk(chunkX, chunkY, chunkZ);
+                    if (!chunk || (chunk.storageType === 'uniform' && chunk.getVoxel(0, 0, 0) !== fromType)) continue;
+
+                    // Find the matches first so untouched chunks are never made writable
+                    const matches = [];
+                    for (let y = localMin[1]; y <= localMax[1]; y++) {
+                        for (let z = localMin[2]; z <= localMax[2]; z++) {
+                            for (let x = localMin[0]; x <= localMax[0]; x++) {
+                                if (chunk.getVoxel(x, y, z) === fromType &&
+                                    (fromType !== toType || chunk.getVoxelData(x, y, z) !== metadata)) {
+                                    matches.push([x, y, z]);
+                                }
+                            }
+                        }
                     }
+                    if (matches.length === 0) continue;
+
+                    // Note only the bounds of the matches, so neighbours are
+                    // rebuilt just when a change reaches their face
+                    const changedMin = [chunkSize, chunkSize, chunkSize];
+                    const changedMax = [-1, -1, -1];
+                    chunk = this.getWritableChunk(chunkX, chunkY, chunkZ);
+                    for (const voxel of matches) {
+                        chunk.setVoxel(voxel[0], voxel[1], voxel[2], toType, metadata);
+                        for (let axis = 0; axis < 3; axis++) {
+                            changedMin[axis] = Math.min(changedMin[axis], voxel[axis]);
+                            changedMax[axis] = Math.max(changedMax[axis], voxel[axis]);
+                        }
+                    }
+                    this.noteEdit(chunkX, chunkY, chunkZ, changedMin, changedMax);
+                    replaced += matches.length;
                 }
             }
         }
+
+        if (replaced > 0 && this.isClearing(fromType, toType)) {
+            this.noteCleared(boxMin, boxMax);
+        }
+
+        debugLog(`Replaced ${replaced} voxels of type ${fromType} with type ${toType} in ${min} - ${max}`);
+        return replaced;
     }
 
-    // Perform raycast against voxels
+    // Perform raycast against voxels. Steps chunk by chunk (DDA over the chunk
+    // grid), skipping unloaded and empty chunks outright, and walks the leaves
+    // of each remaining chunk so empty regions of any size cost one step.
+    // Returns the hit voxel, the face it was entered through (normal and mesher
+    // face name), the empty cell in front of that face (adjacent), the exact
+    // entry point and the distance along the ray, or null on a miss.
     raycast(origin, direction, maxDistance = 100) {
         debugLog(`Raycasting from ${origin} in direction ${direction}`);
 
-        const stepSize = 0.1;
-        const maxSteps = maxDistance / stepSize;
-
-        let currentPos = [...origin];
-
-        for (let i = 0; i < maxSteps; i++) {
-            const x = Math.floor(currentPos[0]);
-            const y = Math.floor(currentPos[1]);
-            const z = Math.floor(currentPos[2]);
-
-            // Check if we've hit a voxel
-            const voxel = this.getVoxel(x, y, z);
-            if (voxel !== 0) {
-                debugLog(`Raycast hit at ${x}, ${y}, ${z}, voxel type: ${voxel}`);
-                return {
-                    position: [x, y, z],
-                    voxelType: voxel,
-                    distance: i * stepSize
-                };
+        const chunkSize = this.config.chunkSize;
+        const dir = normalizeVector([...direction]);
+        const chunkCoords = [0, 0, 0];
+        const step = [0, 0, 0];
+        const tNext = [Infinity, Infinity, Infinity];
+        const tDelta = [Infinity, Infinity, Infinity];
+
+        for (let axis = 0; axis < 3; axis++) {
+            chunkCoords[axis] = Math.floor(origin[axis] / chunkSize);
+
+            if (dir[axis] > 0) {
+                step[axis] = 1;
+                tNext[axis] = ((chunkCoords[axis] + 1) * chunkSize - origin[axis]) / dir[axis];
+                tDelta[axis] = chunkSize / dir[axis];
+            } else if (dir[axis] < 0) {
+                step[axis] = -1;
+                tNext[axis] = (chunkCoords[axis] * chunkSize - origin[axis]) / dir[axis];
+                tDelta[axis] = -chunkSize / dir[axis];
+            }
+        }
+
+        let t = 0;
+        let entryAxis = -1;
+
+        while (t <= maxDistance) {
+            const chunkExit = Math.min(tNext[0], tNext[1], tNext[2]);
+            const chunk = this.getChunk(chunkCoords[0], chunkCoords[1], chunkCoords[2]);
+
+            if (chunk && !chunk.isEmpty()) {
+                const chunkOrigin = chunkCoords.map(c => c * chunkSize);
+                const localOrigin = origin.map((v, axis) => v - chunkOrigin[axis]);
+                const hit = raycastChunk(chunk, localOrigin, dir, t, Math.min(chunkExit, maxDistance), entryAxis);
+
+                if (hit) {
+                    hit.position = hit.position.map((v, axis) => v + chunkOrigin[axis]);
+                    hit.point = hit.point.map((v, axis) => v + chunkOrigin[axis]);
+                    hit.adjacent = hit.face ? hit.position.map((v, axis) => v + hit.normal[axis]) : null;
+                    debugLog(`Raycast hit at ${hit.position}, voxel type: ${hit.voxelType}`);
+                    return hit;
+                }
             }
 
-            // Move along the ray
-            currentPos[0] += direction[0] * stepSize;
-            currentPos[1] += direction[1] * stepSize;
-            currentPos[2] += direction[2] * stepSize;
+            // Step to the next chunk along the ray
+            let axis = 0;
+            if (tNext[1] < tNext[axis]) axis = 1;
+            if (tNext[2] < tNext[axis]) axis = 2;
+            if (tNext[axis] === Infinity) break;
+
+            t = tNext[axis];
+            chunkCoords[axis] += step[axis];
+            tNext[axis] += tDelta[axis];
+            entryAxis = axis;
         }
 
         debugLog(`Raycast missed (exceeded maxDistance)`);
         return null; // No hit
     }
 
+    // Whether a voxel type stops boxes and spheres in the spatial queries
+    // below. Fluids (water) block unless ignoreFluids is set.
+    isBlocking(voxelType, { ignoreFluids = false } = {}) {
+        if (voxelType === VoxelType.AIR) return false;
+        if (ignoreFluids && this.voxelTypes.isFluid(voxelType)) return false;
+        return this.voxelTypes.isSolid(voxelType);
+    }
+
+    // Whether a voxel type is open space: air, fluids and any other type the
+    // registry marks as not solid. Brushes fill it and collapsing terrain
+    // falls through it.
+    isEmptySpace(voxelType) {
+        return !this.isBlocking(voxelType, { ignoreFluids: true });
+    }
+
+    // Check whether any blocking voxel overlaps a world-space box
+    // ({ min, max } in continuous coordinates; voxel x spans x to x + 1).
+    // Touching a voxel's face is not an overlap. Unloaded chunks are empty.
+    overlapsBox(aabb, options = {}) {
+        const min = aabb.min.map(Math.floor);
+        const max = aabb.max.map(v => Math.ceil(v) - 1);
+
+        for (let y = min[1]; y <= max[1]; y++) {
+            for (let z = min[2]; z <= max[2]; z++) {
+                for (let x = min[0]; x <= max[0]; x++) {
+                    if (this.isBlocking(this.getVoxel(x, y, z), options)) return true;
+                }
+            }
+        }
+        return false;
+    }
+
+    // Check whether any blocking voxel overlaps a world-space sphere
+    overlapsSphere(center, radius, options = {}) {
+        const min = center.map(v => Math.floor(v - radius));
+        const max = center.map(v => Math.ceil(v + radius) - 1);
+        const radiusSquared = radius * radius;
+
+        for (let y = min[1]; y <= max[1]; y++) {
+            for (let z = min[2]; z <= max[2]; z++) {
+                for (let x = min[0]; x <= max[0]; x++) {
+                    // Distance from the center to the nearest point of the voxel
+                    const dx = Math.max(x - center[0], 0, center[0] - (x + 1));
+                    const dy = Math.max(y - center[1], 0, center[1] - (y + 1));
+                    const dz = Math.max(z - center[2], 0, center[2] - (z + 1));
+                    if (dx * dx + dy * dy + dz * dz >= radiusSquared) continue;
+
+                    if (this.isBlocking(this.getVoxel(x, y, z), options)) return true;
+                }
+            }
+        }
+        return false;
+    }
+
+    // List the voxels in the box between min and max (inclusive voxel
+    // coordinates, like fillBox) that pass filter(voxelType, x, y, z, metadata).
+    // Without a filter, blocking voxels are listed. Unloaded chunks are skipped.
+    queryVoxelsInBox(min, max, filter = null) {
+        const chunkSize = this.config.chunkSize;
+        const { min: boxMin, max: boxMax } = new BoxShape(min, max).bounds;
+        const minChunk = boxMin.map(v => Math.floor(v / chunkSize));
+        const maxChunk = boxMax.map(v => Math.floor(v / chunkSize));
+        const results = [];
+
+        for (let chunkX = minChunk[0]; chunkX <= maxChunk[0]; chunkX++) {
+            for (let chunkY = minChunk[1]; chunkY <= maxChunk[1]; chunkY++) {
+                for (let chunkZ = minChunk[2]; chunkZ <= maxChunk[2]; chunkZ++) {
+                    const chunk = this.getChunk(chunkX, chunkY, chunkZ);
+                    if (!chunk || (!filter && chunk.isEmpty())) continue;
+
+                    const origin = [chunkX * chunkSize, chunkY * chunkSize, chunkZ * chunkSize];
+                    const localMin = boxMin.map((v, axis) => Math.max(0, v - origin[axis]));
+                    const localMax = boxMax.map((v, axis) => Math.min(chunkSize - 1, v - origin[axis]));
+
+                    for (let y = localMin[1]; y <= localMax[1]; y++) {
+                        for (let z = localMin[2]; z <= localMax[2]; z++) {
+                            for (let x = localMin[0]; x <= localMax[0]; x++) {
+                                const voxelType = chunk.getVoxel(x, y, z);
+                                const worldX = origin[0] + x;
+                                const worldY = origin[1] + y;
+                                const worldZ = origin[2] + z;
+
+                                if (filter) {
+                                    const metadata = chunk.getVoxelData(x, y, z);
+                                    if (!filter(voxelType, worldX, worldY, worldZ, metadata)) continue;
+                                    results.push({ position: [worldX, worldY, worldZ], voxelType, metadata });
+                                } else if (this.isBlocking(voxelType)) {
+                                    results.push({ position: [worldX, worldY, worldZ], voxelType, metadata: chunk.getVoxelData(x, y, z) });
+                                }
+                            }
+                        }
+                    }
+                }
+            }
+        }
+
+        return results;
+    }
+
+    // Move a world-space box ({ min, max }) by displacement and find the
+    // first blocking voxel it runs into. Returns the time of impact as a
+    // fraction of the displacement (0-1), the contact normal, and the voxel
+    // hit, or null if the whole move is free. Voxels the box already overlaps
+    // at the start are ignored so a box stuck in terrain can move out.
+    sweepBox(aabb, displacement, options = {}) {
+        const start = aabb.min.map((v, axis) => [v, aabb.max[axis]]);
+        const min = start.map(([low], axis) => Math.floor(Math.min(low, low + displacement[axis])));
+        const max = start.map(([, high], axis) => Math.ceil(Math.max(high, high + displacement[axis])) - 1);
+
+        let best = null;
+
+        for (let y = min[1]; y <= max[1]; y++) {
+            for (let z = min[2]; z <= max[2]; z++) {
+                for (let x = min[0]; x <= max[0]; x++) {
+                    const cell = [x, y, z];
+
+                    // Times at which the box enters and leaves the voxel on every axis
+                    let entry = -Infinity;
+                    let exit = Infinity;
+                    let entryAxis = -1;
+                    let miss = false;
+
+                    for (let axis = 0; axis < 3; axis++) {
+                        const [low, high] = start[axis];
+                        const d = displacement[axis];
+                        let axisEntry;
+                        let axisExit;
+
+                        if (d === 0) {
+                            if (high <= cell[axis] || low >= cell[axis] + 1) {
+                                miss = true;
+                                break;
+                            }
+                            continue;
+                        } else if (d > 0) {
+                            axisEntry = (cell[axis] - high) / d;
+                            axisExit = (cell[axis] + 1 - low) / d;
+                        } else {
+                            axisEntry = (cell[axis] + 1 - low) / d;
+                            axisExit = (cell[axis] - high) / d;
+                        }
+
+                        if (axisEntry > entry) {
+                            entry = axisEntry;
+                            entryAxis = axis;
+                        }
+                        exit = Math.min(exit, axisExit);
+                    }
+
+                    if (miss || entryAxis === -1 || entry < 0 || entry > 1 || entry >= exit) continue;
+                    if (best && entry >= best.time) continue;
+
+                    const voxelType = this.getVoxel(x, y, z);
+                    if (!this.isBlocking(voxelType, options)) continue;
+
+                    const normal = [0, 0, 0];
+                    normal[entryAxis] = displacement[entryAxis] > 0 ? -1 : 1;
+                    best = { time: entry, normal, position: cell, voxelType };
+                }
+            }
+        }
+
+        return best;
+    }
+
     // Render all chunks with frustum culling
     render(projectionMatrix, viewMatrix) {
         // Create combined projection-view matrix
@@ -0,0 +1,408 @@
+import { DEFAULT_WORLD_CONFIG } from './constants.js';
+import { Chunk } from './voxel-data.js';
+import { SHAPE_INSIDE } from './voxel-shapes.js';
+
+// Chunk storage backends. Every backend implements the same interface:
+//   size, storageType, modified, nonEmptyVoxelCount,
+//   getVoxel(x, y, z), setVoxel(x, y, z, type, metadata),
+//   getVoxelData(x, y, z), setVoxelData(x, y, z, metadata),
+//   getLeaf(x, y, z), fillShape(shape, type, metadata), clone(), isEmpty(),
+//   countNodes(), getMemoryUsage(), toArray(), toMetadataArray()
+// The octree backend is Chunk in voxel-data.js. getLeaf returns the largest
+// uniform cube containing a voxel ({ x, y, z, size, voxelType, metadata }).
+
+export const STORAGE_TYPES = ['octree', 'palette', 'uniform'];
+
+// Most distinct (type, metadata) entries a palette chunk can index with its
+// widest (16-bit) indices; chunks with more are stored as octrees
+export const MAX_PALETTE_SIZE = 0x10000;
+
+function voxelIndex(size, x, y, z) {
+    return (y * size * size) + (z * size) + x;
+}
+
+function isOutOfBounds(size, x, y, z) {
+    return x < 0 || x >= size || y < 0 || y >= size || z < 0 || z >= size;
+}
+
+// Edge length of the cubic chunk a flat voxel array describes
+function sizeFromArray(voxelData) {
+    return Math.round(Math.cbrt(voxelData.length));
+}
+
+// Smallest power-of-two bit width (1, 2, 4, 8 or 16) that can index the palette.
+// Power-of-two widths never straddle a 32-bit word.
+function bitsForPaletteSize(paletteSize) {
+    if (paletteSize > MAX_PALETTE_SIZE) {
+        throw new Error(`Palette of ${paletteSize} entries exceeds the maximum of ${MAX_PALETTE_SIZE}`);
+    }
+
+    let bits = 1;
+    while ((1 << bits) < paletteSize) {
+        bits *= 2;
+    }
+    return bits;
+}
+
+// Palette entries pack the voxel type into the low 16 bits and metadata above it
+function packEntry(voxelType, metadata) {
+    return metadata * 0x10000 + voxelType;
+}
+
+// Chunk where every voxel has the same type and metadata (all air, all stone, ...)
+export class UniformChunk {
+    constructor(voxelType = 0, metadata = 0, size = DEFAULT_WORLD_CONFIG.chunkSize) {
+        this.size = size;
+        this.voxelType = voxelType;
+        this.metadata = metadata;
+        this.modified = true;
+        this.nonEmptyVoxelCount = voxelType !== 0 ? size * size * size : 0;
+    }
+
+    get storageType() {
+        return 'uniform';
+    }
+
+    getVoxel(x, y, z) {
+        if (isOutOfBounds(this.size, x, y, z)) {
+            return 0; // Out of bounds
+        }
+        return this.voxelType;
+    }
+
+    getVoxelData(x, y, z) {
+        if (isOutOfBounds(this.size, x, y, z)) {
+            return 0; // Out of bounds
+        }
+        return this.metadata;
+    }
+
+    // The whole chunk is a single leaf
+    getLeaf(x, y, z) {
+        if (isOutOfBounds(this.size, x, y, z)) {
+            return null; // Out of bounds
+        }
+        return { x: 0, y: 0, z: 0, size: this.size, voxelType: this.voxelType, metadata: this.metadata };
+    }
+
+    // A uniform chunk cannot represent mixed content; callers convert it
+    // (see convertChunk) before writing a different value
+    setVoxel(x, y, z, voxelType, metadata = 0) {
+        if (isOutOfBounds(this.size, x, y, z) || (voxelType === this.voxelType && metadata === this.metadata)) {
+            return;
+        }
+        throw new Error('UniformChunk cannot hold mixed voxel types; convert it before editing');
+    }
+
+    setVoxelData(x, y, z, metadata) {
+        this.setVoxel(x, y, z, this.voxelType, metadata);
+    }
+
+    fillShape(shape, voxelType, metadata = 0) {
+        if (shape.classify(0, 0, 0, this.size) === SHAPE_INSIDE && voxelType === this.voxelType && metadata === this.metadata) {
+            return false;
+        }
+        throw new Error('UniformChunk cannot hold mixed voxel types; convert it before editing');
+    }
+
+    clone() {
+        const copy = new UniformChunk(this.voxelType, this.metadata, this.size);
+        copy.modified = this.modified;
+        return copy;
+    }
+
+    isEmpty() {
+        return this.voxelType === 0;
+    }
+
+    countNodes() {
+        return 1;
+    }
+
+    getMemoryUsage() {
+        return 16;
+    }
+
+    toArray() {
+        return new Uint16Array(this.size * this.size * this.size).fill(this.voxelType);
+    }
+
+    toMetadataArray() {
+        return new Uint16Array(this.size * this.size * this.size).fill(this.metadata);
+    }
+}
+
+// Flat chunk storing a palette of (type, metadata) entries plus a bit-packed index per voxel
+export class PaletteChunk {
+    constructor(size = DEFAULT_WORLD_CONFIG.chunkSize) {
+        this.size = size;
+        this.voxelCount = size * size * size;
+        this.palette = [0];
+        this.paletteLookup = new Map([[0, 0]]);
+        this.bitsPerIndex = 1;
+        this.indices = new Uint32Array(Math.ceil(this.voxelCount / 32));
+        this.sharesBuffers = false; // Set by clone(); copy before the next write
+        this.modified = true;
+        this.nonEmptyVoxelCount = 0;
+    }
+
+    get storageType() {
+        return 'palette';
+    }
+
+    readIndex(voxel) {
+        const bitOffset = voxel * this.bitsPerIndex;
+        const mask = (1 << this.bitsPerIndex) - 1;
+        return (this.indices[bitOffset >>> 5] >>> (bitOffset & 31)) & mask;
+    }
+
+    writeIndex(voxel, paletteIndex) {
+        const bitOffset = voxel * this.bitsPerIndex;
+        const shift = bitOffset & 31;
+        const mask = ((1 << this.bitsPerIndex) - 1) << shift;
+        const word = bitOffset >>> 5;
+        this.indices[word] = (this.indices[word] & ~mask) | ((paletteIndex << shift) & mask);
+    }
+
+    // Stop sharing palette and indices with a clone before modifying them
+    ensureOwnBuffers() {
+        if (this.sharesBuffers) {
+            this.palette = this.palette.slice();
+            this.paletteLookup = new Map(this.paletteLookup);
+            this.indices = this.indices.slice();
+            this.sharesBuffers = false;
+        }
+    }
+
+    // Look up (or add) a palette entry, widening indices when needed
+    getPaletteIndex(entry) {
+        let paletteIndex = this.paletteLookup.get(entry);
+        if (paletteIndex !== undefined) {
+            return paletteIndex;
+        }
+
+        if (this.palette.length >= MAX_PALETTE_SIZE) {
+            throw new Error(`Palette chunk is full (${MAX_PALETTE_SIZE} entries); convert it to an octree first`);
+        }
+
+        paletteIndex = this.palette.length;
+        this.palette.push(entry);
+        this.paletteLookup.set(entry, paletteIndex);
+
+        const requiredBits = bitsForPaletteSize(this.palette.length);
+        if (requiredBits !== this.bitsPerIndex) {
+            this.repack(requiredBits);
+        }
+
+        return paletteIndex;
+    }
+
+    repack(bitsPerIndex) {
+        const oldIndices = [];
+        for (let i = 0; i < this.voxelCount; i++) {
+            oldIndices.push(this.readIndex(i));
+        }
+
+        this.bitsPerIndex = bitsPerIndex;
+        this.indices = new Uint32Array(Math.ceil(this.voxelCount * bitsPerIndex / 32));
+
+        for (let i = 0; i < this.voxelCount; i++) {
+            this.writeIndex(i, oldIndices[i]);
+        }
+    }
+
+    getVoxel(x, y, z) {
+        if (isOutOfBounds(this.size, x, y, z)) {
+            return 0; // Out of bounds
+        }
+        return this.palette[this.readIndex(voxelIndex(this.size, x, y, z))] % 0x10000;
+    }
+
+    getVoxelData(x, y, z) {
+        if (isOutOfBounds(this.size, x, y, z)) {
+            return 0; // Out of bounds
+        }
+        return Math.floor(this.palette[this.readIndex(voxelIndex(this.size, x, y, z))] / 0x10000);
+    }
+
+    // Flat storage has no larger cells, so every leaf is a single voxel
+    getLeaf(x, y, z) {
+        if (isOutOfBounds(this.size, x, y, z)) {
+            return null; // Out of bounds
+        }
+        const entry = this.palette[this.readIndex(voxelIndex(this.size, x, y, z))];
+        return { x, y, z, size: 1, voxelType: entry % 0x10000, metadata: Math.floor(entry / 0x10000) };
+    }
+
+    setVoxel(x, y, z, voxelType, metadata = 0) {
+        if (isOutOfBounds(this.size, x, y, z)) {
+            return; // Out of bounds
+        }
+
+        const voxel = voxelIndex(this.size, x, y, z);
+        const oldEntry = this.palette[this.readIndex(voxel)];
+        const entry = packEntry(voxelType, metadata);
+        if (oldEntry === entry) {
+            return;
+        }
+
+        const oldVoxelType = oldEntry % 0x10000;
+        this.ensureOwnBuffers();
+        this.writeIndex(voxel, this.getPaletteIndex(entry));
+        this.modified = true;
+
+        // Update non-empty voxel count
+        if (oldVoxelType === 0 && voxelType !== 0) {
+            this.nonEmptyVoxelCount++;
+        } else if (oldVoxelType !== 0 && voxelType === 0) {
+            this.nonEmptyVoxelCount--;
+        }
+    }
+
+    setVoxelData(x, y, z, metadata) {
+        this.setVoxel(x, y, z, this.getVoxel(x, y, z), metadata);
+    }
+
+    // Flat storage has no subtrees to share, so fill voxel by voxel within the shape bounds
+    fillShape(shape, voxelType, metadata = 0) {
+        const { min, max } = shape.bounds;
+        const entry = packEntry(voxelType, metadata);
+        let changed = false;
+
+        for (let y = Math.max(0, min[1]); y <= Math.min(this.size - 1, max[1]); y++) {
+            for (let z = Math.max(0, min[2]); z <= Math.min(this.size - 1, max[2]); z++) {
+                for (let x = Math.max(0, min[0]); x <= Math.min(this.size - 1, max[0]); x++) {
+                    if (shape.classify(x, y, z, 1) !== SHAPE_INSIDE) continue;
+                    if (this.palette[this.readIndex(voxelIndex(this.size, x, y, z))] === entry) continue;
+
+                    this.setVoxel(x, y, z, voxelType, metadata);
+                    changed = true;
+                }
+            }
+        }
+
+        return changed;
+    }
+
+    // Snapshot this chunk; buffers are shared until either side writes
+    clone() {
+        const copy = new PaletteChunk(this.size);
+        copy.palette = this.palette;
+        copy.paletteLookup = this.paletteLookup;
+        copy.bitsPerIndex = this.bitsPerIndex;
+        copy.indices = this.indices;
+        copy.modified = this.modified;
+        copy.nonEmptyVoxelCount = this.nonEmptyVoxelCount;
+
+        copy.sharesBuffers = true;
+        this.sharesBuffers = true;
+        return copy;
+    }
+
+    isEmpty() {
+        return this.nonEmptyVoxelCount === 0;
+    }
+
+    countNodes() {
+        return 1;
+    }
+
+    getMemoryUsage() {
+        return this.indices.byteLength + this.palette.length * 8;
+    }
+
+    toArray() {
+        const voxelData = new Uint16Array(this.voxelCount);
+        for (let i = 0; i < this.voxelCount; i++) {
+            voxelData[i] = this.palette[this.readIndex(i)] % 0x10000;
+        }
+        return voxelData;
+    }
+
+    toMetadataArray() {
+        const metadata = new Uint16Array(this.voxelCount);
+        for (let i = 0; i < this.voxelCount; i++) {
+            metadata[i] = Math.floor(this.palette[this.readIndex(i)] / 0x10000);
+        }
+        return metadata;
+    }
+
+    static fromArray(voxelData, metadata = null) {
+        const chunk = new PaletteChunk(sizeFromArray(voxelData));
+        const entries = new Float64Array(chunk.voxelCount);
+
+        // Build the palette first so the index array is packed only once. It
+        // holds only the entries present, so it never has more than the
+        // distinct count createChunkFromArray checked.
+        chunk.palette = [];
+        chunk.paletteLookup = new Map();
+        for (let i = 0; i < chunk.voxelCount; i++) {
+            const entry = packEntry(voxelData[i], metadata ? metadata[i] : 0);
+            entries[i] = entry;
+            if (!chunk.paletteLookup.has(entry)) {
+                chunk.paletteLookup.set(entry, chunk.palette.length);
+                chunk.palette.push(entry);
+            }
+        }
+        chunk.bitsPerIndex = bitsForPaletteSize(chunk.palette.length);
+        chunk.indices = new Uint32Array(Math.ceil(chunk.voxelCount * chunk.bitsPerIndex / 32));
+
+        for (let i = 0; i < chunk.voxelCount; i++) {
+            chunk.writeIndex(i, chunk.paletteLookup.get(entries[i]));
+            if (voxelData[i] !== 0) chunk.nonEmptyVoxelCount++;
+        }
+
+        return chunk;
+    }
+}
+
+// Estimated size of a palette chunk holding the given number of distinct entries
+function estimatePaletteMemory(voxelCount, paletteSize) {
+    return Math.ceil(voxelCount * bitsForPaletteSize(paletteSize) / 32) * 4 + paletteSize * 8;
+}
+
+function countDistinctEntries(voxelData, metadata) {
+    const distinct = new Set();
+    for (let i = 0; i < voxelData.length; i++) {
+        distinct.add(packEntry(voxelData[i], metadata ? metadata[i] : 0));
+    }
+    return distinct.size;
+}
+
+// Create a chunk from flat voxel type (and optional metadata) arrays. Without an
+// explicit storage type the backend is picked from the content: uniform when
+// every voxel matches, otherwise whichever of octree or palette is smaller
+// (always the octree past MAX_PALETTE_SIZE distinct entries).
+export function createChunkFromArray(voxelData, { storageType = null, metadata = null } = {}) {
+    if (storageType === 'octree') return Chunk.fromArray(voxelData, metadata);
+    if (storageType === 'palette') return PaletteChunk.fromArray(voxelData, metadata);
+    if (storageType === 'uniform') {
+        if (countDistinctEntries(voxelData, metadata) !== 1) {
+            throw new Error('Cannot store mixed voxel types in a uniform chunk');
+        }
+        return new UniformChunk(voxelData[0], metadata ? metadata[0] : 0, sizeFromArray(voxelData));
+    }
+    if (storageType !== null) {
+        throw new Error(`Unknown chunk storage type: ${storageType}`);
+    }
+
+    const distinctEntries = countDistinctEntries(voxelData, metadata);
+    if (distinctEntries === 1) {
+        return new UniformChunk(voxelData[0], metadata ? metadata[0] : 0, sizeFromArray(voxelData));
+    }
+
+    const octree = Chunk.fromArray(voxelData, metadata);
+    if (distinctEntries > MAX_PALETTE_SIZE ||
+        octree.getMemoryUsage() <= estimatePaletteMemory(voxelData.length, distinctEntries)) {
+        return octree;
+    }
+    return PaletteChunk.fromArray(voxelData, metadata);
+}
+
+// Convert a chunk to another backend (returns the same chunk if it already matches)
+export function convertChunk(chunk, storageType) {
+    if (chunk.storageType === storageType) {
+        return chunk;
+    }
+    return createChunkFromArray(chunk.toArray(), { storageType, metadata: chunk.toMetadataArray() });
+}
@@ -0,0 +1,136 @@
+import { debugLog } from './math-utils.js';
+import { createChunkFromArray } from './chunk-storage.js';
+
+// Copied region of the world. The voxels are split into cubic blocks the size
+// of a world chunk, each kept in whichever chunk storage backend is smallest
+// for its content (see createChunkFromArray), so large selections of mostly
+// air or solid rock stay compact.
+export class VoxelClipboard {
+    constructor(size, blockSize) {
+        this.size = [...size];          // Edge lengths of the copied box
+        this.blockSize = blockSize;
+        this.blockCounts = size.map(v => Math.ceil(v / blockSize));
+        this.blocks = new Map();        // "bx,by,bz" -> chunk storage
+    }
+
+    // Copy the world-space box between min and max (inclusive). Returns null
+    // if part of the box is still loading from storage.
+    static copy(chunkManager, min, max) {
+        const boxMin = min.map((v, axis) => Math.min(v, max[axis]));
+        const boxMax = max.map((v, axis) => Math.max(v, min[axis]));
+        const size = boxMin.map((v, axis) => boxMax[axis] - v + 1);
+        const blockSize = chunkManager.config.chunkSize;
+        const clipboard = new VoxelClipboard(size, blockSize);
+
+        // Read from real chunk data, generating chunks that aren't loaded yet
+        for (let chunkX = Math.floor(boxMin[0] / blockSize); chunkX <= Math.floor(boxMax[0] / blockSize); chunkX++) {
+            for (let chunkY = Math.floor(boxMin[1] / blockSize); chunkY <= Math.floor(boxMax[1] / blockSize); chunkY++) {
+                for (let chunkZ = Math.floor(boxMin[2] / blockSize); chunkZ <= Math.floor(boxMax[2] / blockSize); chunkZ++) {
+                    if (chunkManager.isChunkInWorld(chunkY) && !chunkManager.getOrCreateChunk(chunkX, chunkY, chunkZ)) {
+                        debugLog(`Copy of ${min} - ${max} waits for chunk ${chunkX},${chunkY},${chunkZ} to load`);
+                        return null;
+                    }
+                }
+            }
+        }
+
+        const [countX, countY, countZ] = clipboard.blockCounts;
+        const voxelCount = blockSize * blockSize * blockSize;
+
+        for (let blockY = 0; blockY < countY; blockY++) {
+            for (let blockZ = 0; blockZ < countZ; blockZ++) {
+                for (let blockX = 0; blockX < countX; blockX++) {
+                    const types = new Uint16Array(voxelCount);
+                    const metadata = new Uint16Array(voxelCount);
+                    const origin = [blockX * blockSize, blockY * blockSize, blockZ * blockSize];
+
+                    for (let y = 0; y < blockSize && origin[1] + y < size[1]; y++) {
+                        for (let z = 0; z < blockSize && origin[2] + z < size[2]; z++) {
+                            for (let x = 0; x < blockSize && origin[0] + x < size[0]; x++) {
+                                const worldX = boxMin[0] + origin[0] + x;
+                                const worldY = boxMin[1] + origin[1] + y;
+                                const worldZ = boxMin[2] + origin[2] + z;
+                                const index = (y * blockSize * blockSize) + (z * blockSize) + x;
+
+                                types[index] = chunkManager.getVoxel(worldX, worldY, worldZ);
+                                metadata[index] = chunkManager.getVoxelData(worldX, worldY, worldZ);
+                            }
+                        }
+                    }
+
+                    clipboard.blocks.set(`${blockX},${blockY},${blockZ}`, createChunkFromArray(types, { metadata }));
+                }
+            }
+        }
+
+        debugLog(`Copied ${size.join('x')} voxels (${clipboard.getMemoryUsage()} bytes)`);
+        return clipboard;
+    }
+
+    getBlock(x, y, z) {
+        const s = this.blockSize;
+        return this.blocks.get(`${Math.floor(x / s)},${Math.floor(y / s)},${Math.floor(z / s)}`);
+    }
+
+    // Voxel type at a position inside the copied box
+    getVoxel(x, y, z) {
+        const s = this.blockSize;
+        return this.getBlock(x, y, z).getVoxel(x % s, y % s, z % s);
+    }
+
+    getVoxelData(x, y, z) {
+        const s = this.blockSize;
+        return this.getBlock(x, y, z).getVoxelData(x % s, y % s, z % s);
+    }
+
+    getMemoryUsage() {
+        let bytes = 0;
+        for (const block of this.blocks.values()) {
+            bytes += block.getMemoryUsage();
+        }
+        return bytes;
+    }
+
+    // Size of the pasted box after rotating by the given number of quarter turns
+    getPastedSize(rotation = 0) {
+        const [sx, sy, sz] = this.size;
+        return ((rotation % 4) + 4) % 2 === 1 ? [sz, sy, sx] : [sx, sy, sz];
+    }
+
+    // Paste with the minimum corner of the pasted box at position. The copy is
+    // first mirrored (X and/or Z, in its own space), then rotated by quarter
+    // turns about Y (clockwise seen from above). With skipAir, air in the copy
+    // leaves the world untouched. Runs as one edit; returns the voxels written.
+    paste(chunkManager, position, { rotation = 0, mirrorX = false, mirrorZ = false, skipAir = false } = {}) {
+        const [sx, sy, sz] = this.size;
+        const turns = ((rotation % 4) + 4) % 4;
+        const [px, py, pz] = position.map(Math.floor);
+        const voxels = [];
+
+        for (let y = 0; y < sy; y++) {
+            for (let z = 0; z < sz; z++) {
+                for (let x = 0; x < sx; x++) {
+                    const voxelType = this.getVoxel(x, y, z);
+                    if (skipAir && voxelType === 0) continue;
+
+                    const mx = mirrorX ? sx - 1 - x : x;
+                    const mz = mirrorZ ? sz - 1 - z : z;
+
+                    let tx, tz;
+                    switch (turns) {
+                        case 0: tx = mx; tz = mz; break;
+                        case 1: tx = sz - 1 - mz; tz = mx; break;
+                        case 2: tx = sx - 1 - mx; tz = sz - 1 - mz; break;
+                        case 3: tx = mz; tz = sx - 1 - mx; break;
+                    }
+
+                    voxels.push([px + tx, py + y, pz + tz, voxelType, this.getVoxelData(x, y, z)]);
+                }
+            }
+        }
+
+        debugLog(`Pasting ${voxels.length} voxels at ${position} (rotation ${turns}, mirror ${mirrorX ? 'X' : ''}${mirrorZ ? 'Z' : ''})`);
+        chunkManager.setVoxels(voxels);
+        return voxels.length;
+    }
+}
\ No newline at end of file
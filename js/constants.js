@@ -1,4 +1,36 @@
-export const CHUNK_SIZE = 16;
-export const RENDER_DISTANCE = 5;
-export const MAX_HEIGHT = 64;
-export const DEBUG = true;
\ No newline at end of file
+// Default world configuration; see createWorldConfig for validation
+export const DEFAULT_WORLD_CONFIG = Object.freeze({
+    chunkSize: 16,      // Voxels per chunk edge (power of two)
+    renderDistance: 5,  // Load radius in chunks
+    minHeight: -64,     // Lowest voxel Y (multiple of chunkSize, or -Infinity for no floor)
+    maxHeight: 64       // Voxel Y the world ends below (multiple of chunkSize, or Infinity for no ceiling)
+});
+
+// Largest chunk edge the binary chunk and patch formats can address
+export const MAX_CHUNK_SIZE = 256;
+
+export const DEBUG = true;
+
+// Build a world configuration from partial options, validating every field
+export function createWorldConfig(options = {}) {
+    const config = { ...DEFAULT_WORLD_CONFIG, ...options };
+    const { chunkSize, renderDistance, minHeight, maxHeight } = config;
+
+    if (!Number.isInteger(chunkSize) || chunkSize < 2 || chunkSize > MAX_CHUNK_SIZE || (chunkSize & (chunkSize - 1)) !== 0) {
+        throw new Error(`chunkSize must be a power of two between 2 and ${MAX_CHUNK_SIZE}, got ${chunkSize}`);
+    }
+    if (!Number.isInteger(renderDistance) || renderDistance < 1) {
+        throw new Error(`renderDistance must be a positive integer, got ${renderDistance}`);
+    }
+    if (minHeight !== -Infinity && (!Number.isInteger(minHeight) || minHeight % chunkSize !== 0)) {
+        throw new Error(`minHeight must be a multiple of chunkSize (${chunkSize}) or -Infinity, got ${minHeight}`);
+    }
+    if (maxHeight !== Infinity && (!Number.isInteger(maxHeight) || maxHeight % chunkSize !== 0)) {
+        throw new Error(`maxHeight must be a multiple of chunkSize (${chunkSize}) or Infinity, got ${maxHeight}`);
+    }
+    if (maxHeight <= minHeight) {
+        throw new Error(`maxHeight (${maxHeight}) must be greater than minHeight (${minHeight})`);
+    }
+
+    return Object.freeze(config);
+}
\ No newline at end of file
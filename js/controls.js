@@ -1,11 +1,41 @@
 import { normalizeVector, debugLog } from './math-utils.js';
 import { VoxelType } from './voxel-types.js';
+import { Brush, BRUSH_SHAPES, BRUSH_MODES } from './brush.js';
+import { VoxelClipboard } from './clipboard.js';
+import { deriveSeed } from './random.js';
+
+// Half the size of the box around the camera that placed voxels may not overlap
+const CAMERA_RADIUS = 0.2;
+
+// Brush radius range for the mouse wheel
+const MIN_BRUSH_RADIUS = 1;
+const MAX_BRUSH_RADIUS = 16;
 
 export class Controls {
-    constructor(canvas, camera, chunkManager) {
+    constructor(canvas, camera, chunkManager, voxelTypes = null) {
         this.canvas = canvas;
         this.camera = camera;
         this.chunkManager = chunkManager;
+        this.voxelTypes = voxelTypes;
+
+        // Voxel type placed with the right mouse button
+        this.selectedVoxelType = VoxelType.STONE;
+
+        // Sculpting brush applied with the left mouse button; a little edge
+        // noise keeps strokes from looking machined
+        this.brush = new Brush({
+            shape: 'sphere',
+            mode: 'remove',
+            radius: 3,
+            noise: 0.3,
+            seed: deriveSeed(chunkManager.worldGenerator.seed, 'brush')
+        });
+
+        // Copy/paste: two selected corners, the copied voxels and how the
+        // next paste is transformed
+        this.selection = [null, null];
+        this.clipboard = null;
+        this.pasteOptions = { rotation: 0, mirrorX: false, mirrorZ: false, skipAir: true };
 
         // Movement state
         this.moveForward = false;
@@ -47,16 +77,49 @@ export class Controls {
             }
         });
 
-        // Mouse down to create crater
+        // Left button applies the brush, right button places the selected voxel type
         this.canvas.addEventListener('mousedown', (e) => {
             // Only proceed if pointer is locked (we have control)
             if (this.isPointerLocked) {
-                this.createCraterAtLookDirection(3);
+                if (e.button === 2) {
+                    this.placeVoxelAtLookDirection();
+                } else {
+                    this.applyBrushAtLookDirection();
+                }
             }
         });
 
+        // Mouse wheel changes the brush size
+        this.canvas.addEventListener('wheel', (e) => {
+            if (!this.isPointerLocked) return;
+            e.preventDefault();
+            this.setBrushRadius(this.brush.radius + (e.deltaY < 0 ? 1 : -1));
+        }, { passive: false });
+
+        // Keep the browser menu from opening on right click
+        this.canvas.addEventListener('contextmenu', (e) => e.preventDefault());
+
         // Keyboard controls
         window.addEventListener('keydown', (e) => {
+            // Undo / redo (Ctrl+Z, Ctrl+Y or Ctrl+Shift+Z; Cmd on macOS)
+            if (e.ctrlKey || e.metaKey) {
+                const key = e.key.toLowerCase();
+                if (key === 'z' && !e.shiftKey) {
+                    e.preventDefault();
+                    this.chunkManager.undo();
+                } else if (key === 'y' || (key === 'z' && e.shiftKey)) {
+                    e.preventDefault();
+                    this.chunkManager.redo();
+                } else if (key === 'c') {
+                    e.preventDefault();
+                    this.copySelection();
+                } else if (key === 'v') {
+                    e.preventDefault();
+                    this.pasteAtLookDirection();
+                }
+                return;
+            }
+
             switch (e.key.toLowerCase()) {
                 case 'w': this.moveForward = true; break;
                 case 's': this.moveBackward = true; break;
@@ -67,6 +130,34 @@ export class Controls {
                 case ' ': // Space to create crater at look direction
                     this.createCraterAtLookDirection(5);
                     break;
+                case 'b': // Cycle brush shape
+                    this.cycleBrush('shape', BRUSH_SHAPES);
+                    break;
+                case 'n': // Cycle brush mode
+                    this.cycleBrush('mode', BRUSH_MODES);
+                    break;
+                case 'q': // Select first / second copy corner
+                    this.selectCornerAtLookDirection(0);
+                    break;
+                case 'e':
+                    this.selectCornerAtLookDirection(1);
+                    break;
+                case 'r': // Rotate the next paste a quarter turn
+                    this.pasteOptions.rotation = (this.pasteOptions.rotation + 1) % 4;
+                    this.updateClipboardLabel();
+                    break;
+                case 'f': // Mirror the next paste on X / Z
+                    this.pasteOptions.mirrorX = !this.pasteOptions.mirrorX;
+                    this.updateClipboardLabel();
+                    break;
+                case 'g':
+                    this.pasteOptions.mirrorZ = !this.pasteOptions.mirrorZ;
+                    this.updateClipboardLabel();
+                    break;
+                case '1': case '2': case '3': case '4': case '5':
+                case '6': case '7': case '8': case '9':
+                    this.selectVoxelType(Number(e.key) - 1);
+                    break;
             }
         });
 
@@ -96,6 +187,136 @@ export class Controls {
         }
     }
 
+    // Apply the brush where the camera is looking. Adding builds out from the
+    // face being looked at; replace changes the type of the voxel looked at.
+    applyBrushAtLookDirection() {
+        const hit = this.chunkManager.raycast(this.camera.position, this.getLookDirection(), 50);
+        if (!hit) return false;
+
+        const center = this.brush.mode === 'add' && hit.adjacent ? hit.adjacent : hit.position;
+        this.brush.voxelType = this.selectedVoxelType;
+        this.brush.replaceType = hit.voxelType;
+        this.chunkManager.applyBrush(this.brush, center);
+        return true;
+    }
+
+    // Step a brush setting to the next of its options
+    cycleBrush(setting, options) {
+        const index = options.indexOf(this.brush[setting]);
+        this.brush[setting] = options[(index + 1) % options.length];
+        this.updateBrushLabel();
+    }
+
+    setBrushRadius(radius) {
+        this.brush.radius = Math.max(MIN_BRUSH_RADIUS, Math.min(MAX_BRUSH_RADIUS, radius));
+        this.updateBrushLabel();
+    }
+
+    updateBrushLabel() {
+        debugLog(`Brush: ${this.brush.shape} ${this.brush.mode} radius ${this.brush.radius}`);
+
+        const label = document.getElementById('brush');
+        if (label) {
+            label.textContent = `${this.brush.shape} ${this.brush.mode} r${this.brush.radius}`;
+        }
+    }
+
+    // Set a corner of the copy selection to the voxel being looked at
+    selectCornerAtLookDirection(corner) {
+        const hit = this.chunkManager.raycast(this.camera.position, this.getLookDirection(), 50);
+        if (!hit) return false;
+
+        this.selection[corner] = hit.position;
+        this.updateClipboardLabel();
+        return true;
+    }
+
+    copySelection() {
+        const [first, second] = this.selection;
+        if (!first || !second) return false;
+
+        const clipboard = VoxelClipboard.copy(this.chunkManager, first, second);
+        if (!clipboard) return false;
+
+        this.clipboard = clipboard;
+        this.updateClipboardLabel();
+        return true;
+    }
+
+    // Paste the clipboard on the face being looked at, centered on X/Z
+    pasteAtLookDirection() {
+        if (!this.clipboard) return false;
+
+        const hit = this.chunkManager.raycast(this.camera.position, this.getLookDirection(), 50);
+        if (!hit || !hit.adjacent) return false;
+
+        const [sizeX, , sizeZ] = this.clipboard.getPastedSize(this.pasteOptions.rotation);
+        const position = [
+            hit.adjacent[0] - Math.floor(sizeX / 2),
+            hit.adjacent[1],
+            hit.adjacent[2] - Math.floor(sizeZ / 2)
+        ];
+        this.clipboard.paste(this.chunkManager, position, this.pasteOptions);
+        return true;
+    }
+
+    updateClipboardLabel() {
+        const label = document.getElementById('clipboard');
+        if (!label) return;
+
+        const [first, second] = this.selection;
+        const { rotation, mirrorX, mirrorZ } = this.pasteOptions;
+        const corners = `${first ? first.join(',') : '-'} to ${second ? second.join(',') : '-'}`;
+        const copied = this.clipboard ? this.clipboard.size.join('x') : 'empty';
+        const transform = `${rotation * 90}°${mirrorX ? ' mirror X' : ''}${mirrorZ ? ' mirror Z' : ''}`;
+        label.textContent = `${corners}, copied ${copied}, ${transform}`;
+    }
+
+    // Select the index-th placeable (non-air) voxel type
+    selectVoxelType(index) {
+        const typeIds = this.voxelTypes
+            ? this.voxelTypes.getTypeIds().filter(id => id !== VoxelType.AIR)
+            : Object.values(VoxelType).filter(id => id !== VoxelType.AIR);
+        if (index >= typeIds.length) return;
+
+        this.selectedVoxelType = typeIds[index];
+        debugLog(`Selected voxel type ${this.selectedVoxelType}`);
+
+        const label = document.getElementById('selected-type');
+        if (label && this.voxelTypes) {
+            label.textContent = this.voxelTypes.getType(this.selectedVoxelType).name;
+        }
+    }
+
+    // Place the selected voxel type in the empty cell in front of the face
+    // being looked at. Returns false if there is no face in reach or the
+    // voxel would overlap the camera.
+    placeVoxelAtLookDirection() {
+        const hit = this.chunkManager.raycast(this.camera.position, this.getLookDirection(), 50);
+        if (!hit || !hit.adjacent) return false;
+
+        const [x, y, z] = hit.adjacent;
+        if (this.overlapsCamera(x, y, z)) {
+            debugLog(`Placement at ${x},${y},${z} rejected: overlaps the camera`);
+            return false;
+        }
+
+        this.chunkManager.setVoxel(x, y, z, this.selectedVoxelType);
+        return true;
+    }
+
+    // Check whether the unit cell at x, y, z intersects the box around the camera
+    overlapsCamera(x, y, z) {
+        const cell = [x, y, z];
+        for (let axis = 0; axis < 3; axis++) {
+            const p = this.camera.position[axis];
+            if (p + CAMERA_RADIUS <= cell[axis] || p - CAMERA_RADIUS >= cell[axis] + 1) {
+                return false;
+            }
+        }
+        return true;
+    }
+
     getLookDirection() {
         const direction = [
             Math.sin(this.camera.rotation[0]) * Math.cos(this.camera.rotation[1]),
@@ -0,0 +1,117 @@
+import { Chunk } from './voxel-data.js';
+import { convertChunk } from './chunk-storage.js';
+
+// Default memory budget for undo and redo steps together
+export const DEFAULT_HISTORY_BYTES = 16 * 1024 * 1024;
+
+// Per-chunk bookkeeping on top of the serialized patches (key, arrays, step)
+const CHANGE_OVERHEAD_BYTES = 64;
+
+// Build the change record for one chunk from its state before and after an
+// edit, or null if the edit left it unchanged. Both directions are stored as
+// serialized chunk patches (see Chunk.diff), so a step costs 8 bytes per
+// changed octree cube rather than a copy of every touched chunk.
+export function createChunkChange(key, before, after) {
+    const beforeTree = convertChunk(before, 'octree');
+    const afterTree = convertChunk(after, 'octree');
+
+    const redo = beforeTree.diff(afterTree);
+    if (redo.length === 0) return null;
+    const undo = afterTree.diff(beforeTree);
+
+    return {
+        key,
+        undo: Chunk.serializePatch(undo),
+        redo: Chunk.serializePatch(redo)
+    };
+}
+
+// Undo and redo stacks of edit steps. A step is a list of chunk changes made
+// by one operation (a crater, a fill, a placed voxel). When the stacks grow
+// past maxBytes the oldest undo steps are forgotten.
+export class EditHistory {
+    constructor(maxBytes = DEFAULT_HISTORY_BYTES) {
+        this.maxBytes = maxBytes;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.totalBytes = 0;
+    }
+
+    static getStepBytes(changes) {
+        let bytes = 0;
+        for (const change of changes) {
+            bytes += change.undo.byteLength + change.redo.byteLength + CHANGE_OVERHEAD_BYTES;
+        }
+        return bytes;
+    }
+
+    // Record a new step; anything that could have been redone is discarded
+    push(changes) {
+        if (changes.length === 0) return;
+
+        for (const step of this.redoStack) {
+            this.totalBytes -= step.bytes;
+        }
+        this.redoStack = [];
+
+        const step = { changes, bytes: EditHistory.getStepBytes(changes) };
+        this.undoStack.push(step);
+        this.totalBytes += step.bytes;
+        this.enforceLimit();
+    }
+
+    setMaxBytes(maxBytes) {
+        this.maxBytes = maxBytes;
+        this.enforceLimit();
+    }
+
+    // Drop the oldest steps until the history fits its budget. A single
+    // step larger than the whole budget is not kept at all.
+    enforceLimit() {
+        while (this.totalBytes > this.maxBytes && this.undoStack.length > 0) {
+            this.totalBytes -= this.undoStack.shift().bytes;
+        }
+        while (this.totalBytes > this.maxBytes && this.redoStack.length > 0) {
+            this.totalBytes -= this.redoStack.shift().bytes;
+        }
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    // The step undo or redo would apply next, without moving it (null if none)
+    peekUndo() {
+        return this.undoStack[this.undoStack.length - 1] || null;
+    }
+
+    peekRedo() {
+        return this.redoStack[this.redoStack.length - 1] || null;
+    }
+
+    // Move the latest step to the redo stack and return it (null if none)
+    takeUndo() {
+        const step = this.undoStack.pop();
+        if (!step) return null;
+        this.redoStack.push(step);
+        return step;
+    }
+
+    // Move the latest undone step back to the undo stack and return it (null if none)
+    takeRedo() {
+        const step = this.redoStack.pop();
+        if (!step) return null;
+        this.undoStack.push(step);
+        return step;
+    }
+
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.totalBytes = 0;
+    }
+}
\ No newline at end of file
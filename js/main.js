@@ -1,4 +1,4 @@
-import { CHUNK_SIZE, RENDER_DISTANCE } from './constants.js';
+import { createWorldConfig } from './constants.js';
 import { mat4 } from './math-utils.js';
 import { VoxelTypeManager } from './voxel-types.js';
 import { WorldGenerator } from './world-generator.js';
@@ -6,10 +6,58 @@ import { Mesher } from './mesher.js';
 import { ChunkManager } from './chunk-manager.js';
 import { Renderer } from './renderer.js';
 import { Controls } from './controls.js';
+import { IndexedDBStorageAdapter, MemoryStorageAdapter, RegionStorageAdapter } from './world-storage.js';
+import { DEFAULT_REGION_SIZE } from './region-file.js';
+import { exportVox, importVox } from './vox-format.js';
+import { collectChunkMeshes, exportGlb, exportObj } from './mesh-export.js';
+import { DEFAULT_COLLAPSE_OPTIONS } from './terrain-collapse.js';
+import { createRandomSeed, parseSeed } from './random.js';
+
+// How often edited chunks are written to storage while playing
+const AUTOSAVE_INTERVAL = 10000; // ms
+
+// Read world configuration overrides from the page URL,
+// e.g. index.html?chunkSize=32&renderDistance=4&minHeight=-256&maxHeight=128
+// (minHeight=-Infinity / maxHeight=Infinity remove the floor / ceiling)
+function readWorldConfigFromUrl() {
+    const params = new URLSearchParams(window.location.search);
+    const options = {};
+
+    for (const key of ['chunkSize', 'renderDistance', 'minHeight', 'maxHeight']) {
+        if (params.has(key)) {
+            options[key] = Number(params.get(key));
+        }
+    }
+
+    return createWorldConfig(options);
+}
+
+// World seed from the page URL (index.html?seed=1234 or ?seed=any-text),
+// otherwise the one used last time, otherwise a new random one. The seed is
+// remembered so the same world comes back on the next visit.
+function loadWorldSeed() {
+    const params = new URLSearchParams(window.location.search);
+    const seedText = params.get('seed') ?? localStorage.getItem('jsvoxels-seed') ?? String(createRandomSeed());
+
+    localStorage.setItem('jsvoxels-seed', seedText);
+    return parseSeed(seedText);
+}
+
+// Hand a generated file to the browser as a download
+function downloadFile(data, filename, mimeType = 'application/octet-stream') {
+    const url = URL.createObjectURL(new Blob([data], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+}
 
 // Main class that ties everything together
 class VoxelEngine {
-    constructor() {
+    constructor(config) {
+        this.config = config;
+
         // Camera state
         this.camera = {
             position: [0, 20, 0],
@@ -28,17 +76,87 @@ class VoxelEngine {
 
         // Initialize components
         this.canvas = document.getElementById('glCanvas');
-        this.renderer = new Renderer(this.canvas);
+        this.renderer = new Renderer(this.canvas, config);
         this.voxelTypes = new VoxelTypeManager();
-        this.worldGenerator = new WorldGenerator();
-        this.mesher = new Mesher(this.voxelTypes);
-        this.chunkManager = new ChunkManager(this.worldGenerator, this.mesher, this.renderer);
-        this.controls = new Controls(this.canvas, this.camera, this.chunkManager);
+        // Saved chunks only match the terrain around them if the world is
+        // generated from the same seed, and can only be read back with the
+        // chunk and region size they were written with, so each combination
+        // keeps its own database
+        this.seed = loadWorldSeed();
+        this.worldGenerator = new WorldGenerator(config, this.seed);
+        this.mesher = new Mesher(this.voxelTypes, config);
+        const databaseName = `jsvoxels-regions-${this.worldGenerator.seed}-c${config.chunkSize}-r${DEFAULT_REGION_SIZE}`;
+        this.storage = window.indexedDB
+            ? new RegionStorageAdapter(new IndexedDBStorageAdapter(databaseName, 'regions'), DEFAULT_REGION_SIZE)
+            : new MemoryStorageAdapter();
+        const seedLabel = document.getElementById('seed');
+        if (seedLabel) seedLabel.textContent = this.seed;
+        this.chunkManager = new ChunkManager(this.worldGenerator, this.mesher, this.renderer, config, this.storage);
+        this.chunkManager.initStorage();
+        // Terrain cut loose by craters and brushes falls until it lands
+        this.chunkManager.setCollapseOptions(DEFAULT_COLLAPSE_OPTIONS);
+        this.controls = new Controls(this.canvas, this.camera, this.chunkManager, this.voxelTypes);
+
+        // Persist edits periodically and whenever the page is hidden or closed
+        this.lastSaveTime = 0;
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') {
+                this.chunkManager.saveModifiedChunks();
+            }
+        });
+        window.addEventListener('pagehide', () => this.chunkManager.saveModifiedChunks());
+
+        // Drop a .vox file on the canvas to place it where the camera looks
+        this.canvas.addEventListener('dragover', (e) => e.preventDefault());
+        this.canvas.addEventListener('drop', async (e) => {
+            e.preventDefault();
+            const file = e.dataTransfer.files[0];
+            if (!file || !file.name.toLowerCase().endsWith('.vox')) return;
+
+            this.importVox(await file.arrayBuffer(), this.getPlacementPosition(), { registerUnknown: true });
+        });
 
         // Start the game loop
         requestAnimationFrame(this.render.bind(this));
     }
 
+    // Download the world-space box between min and max (inclusive) as a
+    // MagicaVoxel file, e.g. voxelEngine.exportVox([-32, 0, -32], [31, 63, 31])
+    exportVox(min, max, filename = 'world.vox') {
+        downloadFile(exportVox(this.chunkManager, this.voxelTypes, min, max), filename);
+    }
+
+    // Download the meshes of all loaded chunks (or of the chunks overlapping
+    // the box from min to max) as binary glTF
+    exportGlb(min = null, max = null, filename = 'world.glb') {
+        const meshData = collectChunkMeshes(this.chunkManager, this.mesher, min, max);
+        downloadFile(exportGlb(meshData), filename, 'model/gltf-binary');
+    }
+
+    // Same as exportGlb, as an OBJ file plus its MTL material library
+    exportObj(min = null, max = null, basename = 'world') {
+        const meshData = collectChunkMeshes(this.chunkManager, this.mesher, min, max);
+        const { obj, mtl } = exportObj(meshData, `${basename}.mtl`);
+        downloadFile(obj, `${basename}.obj`, 'text/plain');
+        downloadFile(mtl, `${basename}.mtl`, 'text/plain');
+    }
+
+    // Place a .vox file into the world with its minimum corner at position
+    importVox(data, position, options = {}) {
+        return importVox(this.chunkManager, this.voxelTypes, data, position, options);
+    }
+
+    // The empty voxel in front of the surface the camera looks at, or a
+    // point ahead of the camera if nothing is in reach
+    getPlacementPosition() {
+        const direction = this.controls.getLookDirection();
+        const hit = this.chunkManager.raycast(this.camera.position, direction, 50);
+        if (hit && hit.adjacent) {
+            return hit.adjacent;
+        }
+        return this.camera.position.map((v, axis) => Math.floor(v + direction[axis] * 10));
+    }
+
     addPerformanceDisplay() {
         const statsDiv = document.getElementById('stats');
         if (statsDiv) {
@@ -52,6 +170,11 @@ class VoxelEngine {
             octreeElement.innerHTML = 'Nodes: <span id="nodes">0</span>';
             statsDiv.appendChild(octreeElement);
 
+            // Add chunk storage stats display
+            const storageElement = document.createElement('p');
+            storageElement.innerHTML = 'Storage: <span id="storage">-</span>';
+            statsDiv.appendChild(storageElement);
+
             // Add culling stats display
             const cullingElement = document.createElement('p');
             cullingElement.innerHTML = 'Culled: <span id="culled">0</span>%';
@@ -81,6 +204,23 @@ class VoxelEngine {
             // Update octree stats
             const nodeCount = this.chunkManager.totalNodes || 0;
             document.getElementById('nodes').textContent = nodeCount;
+
+            // Update per-backend chunk memory (KB)
+            const memoryStats = this.chunkManager.getMemoryStats();
+            document.getElementById('storage').textContent = Object.entries(memoryStats)
+                .map(([storageType, { chunks, bytes }]) => `${storageType} ${chunks}/${Math.round(bytes / 1024)}KB`)
+                .join(', ');
+
+            // Biome under the camera
+            const [cameraX, , cameraZ] = this.camera.position;
+            document.getElementById('biome').textContent =
+                this.worldGenerator.getBiome(Math.floor(cameraX), Math.floor(cameraZ)).name;
+        }
+
+        // Autosave edited chunks
+        if (now - this.lastSaveTime >= AUTOSAVE_INTERVAL) {
+            this.chunkManager.saveModifiedChunks();
+            this.lastSaveTime = now;
         }
 
         // Update controls
@@ -107,7 +247,7 @@ class VoxelEngine {
         const fieldOfView = 70 * Math.PI / 180; // Wider FOV for better visibility
         const aspect = this.canvas.clientWidth / this.canvas.clientHeight;
         const zNear = 0.1;
-        const zFar = CHUNK_SIZE * (RENDER_DISTANCE + 1) * 1.5;
+        const zFar = this.config.chunkSize * (this.config.renderDistance + 1) * 1.5;
 
         mat4.perspective(projectionMatrix, fieldOfView, aspect, zNear, zFar);
 
@@ -145,5 +285,5 @@ class VoxelEngine {
 
 // Initialize the engine when the page loads
 window.onload = () => {
-    window.voxelEngine = new VoxelEngine();
+    window.voxelEngine = new VoxelEngine(readWorldConfigFromUrl());
 };
\ No newline at end of file
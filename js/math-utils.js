@@ -1,4 +1,4 @@
-import { CHUNK_SIZE, DEBUG } from './constants.js';
+import { DEBUG } from './constants.js';
 
 export const mat4 = {
     create() {
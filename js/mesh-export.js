@@ -0,0 +1,212 @@
+// Export chunk meshes for use in other tools: binary glTF 2.0 (.glb) and
+// Wavefront OBJ with an MTL material library. Meshes are regenerated with the
+// Mesher (the renderer only keeps GPU buffers) and moved to world space.
+
+const GLB_MAGIC = 0x46546C67;      // "glTF"
+const GLB_CHUNK_JSON = 0x4E4F534A; // "JSON"
+const GLB_CHUNK_BIN = 0x004E4942;  // "BIN\0"
+const GL_FLOAT = 5126;
+const GL_UNSIGNED_INT = 5125;
+const GL_ARRAY_BUFFER = 34962;
+const GL_ELEMENT_ARRAY_BUFFER = 34963;
+
+// Mesh every loaded chunk, or only the chunks overlapping the world-space box
+// from min to max (inclusive; whole chunks are exported), into one mesh in
+// world coordinates: { positions, normals, colors (RGBA), indices }
+export function collectChunkMeshes(chunkManager, mesher, min = null, max = null) {
+    const chunkSize = chunkManager.config.chunkSize;
+    const minChunk = min && min.map((v, axis) => Math.floor(Math.min(v, max[axis]) / chunkSize));
+    const maxChunk = max && max.map((v, axis) => Math.floor(Math.max(v, min[axis]) / chunkSize));
+    const parts = [];
+    let vertexCount = 0;
+    let indexCount = 0;
+
+    for (const key of chunkManager.chunks.keys()) {
+        const coords = key.split(',').map(Number);
+        if (minChunk && coords.some((v, axis) => v < minChunk[axis] || v > maxChunk[axis])) continue;
+
+        const [x, y, z] = coords;
+        const mesh = mesher.generateMesh(chunkManager.getChunk(x, y, z), x, y, z,
+            (cx, cy, cz) => chunkManager.getChunk(cx, cy, cz));
+        if (mesh.indices.length === 0) continue;
+
+        parts.push({ mesh, offset: [x * chunkSize, y * chunkSize, z * chunkSize] });
+        vertexCount += mesh.positions.length / 3;
+        indexCount += mesh.indices.length;
+    }
+
+    const positions = new Float32Array(vertexCount * 3);
+    const normals = new Float32Array(vertexCount * 3);
+    const colors = new Float32Array(vertexCount * 4);
+    const indices = new Uint32Array(indexCount);
+    let vertexBase = 0;
+    let indexBase = 0;
+
+    for (const { mesh, offset } of parts) {
+        for (let i = 0; i < mesh.positions.length; i++) {
+            positions[vertexBase * 3 + i] = mesh.positions[i] + offset[i % 3];
+        }
+        normals.set(mesh.normals, vertexBase * 3);
+        colors.set(mesh.colors, vertexBase * 4);
+        for (let i = 0; i < mesh.indices.length; i++) {
+            indices[indexBase + i] = mesh.indices[i] + vertexBase;
+        }
+
+        vertexBase += mesh.positions.length / 3;
+        indexBase += mesh.indices.length;
+    }
+
+    return { positions, normals, colors, indices };
+}
+
+function hasTransparency(colors) {
+    for (let i = 3; i < colors.length; i += 4) {
+        if (colors[i] < 1) return true;
+    }
+    return false;
+}
+
+// Binary glTF with a single mesh using vertex colors (COLOR_0)
+export function exportGlb(meshData) {
+    const { positions, normals, colors, indices } = meshData;
+    const vertexCount = positions.length / 3;
+
+    // glTF requires bounds on the position accessor
+    const boundsMin = [Infinity, Infinity, Infinity];
+    const boundsMax = [-Infinity, -Infinity, -Infinity];
+    for (let i = 0; i < positions.length; i++) {
+        const axis = i % 3;
+        boundsMin[axis] = Math.min(boundsMin[axis], positions[i]);
+        boundsMax[axis] = Math.max(boundsMax[axis], positions[i]);
+    }
+
+    // Buffer layout: positions, normals, colors, indices (all 4-byte aligned)
+    const views = [positions, normals, colors, indices];
+    const offsets = [];
+    let byteLength = 0;
+    for (const view of views) {
+        offsets.push(byteLength);
+        byteLength += view.byteLength;
+    }
+
+    const gltf = {
+        asset: { version: '2.0', generator: 'jsvoxels' },
+        scene: 0,
+        scenes: [{ nodes: [0] }],
+        nodes: [{ mesh: 0, name: 'terrain' }],
+        meshes: [{
+            name: 'terrain',
+            primitives: [{
+                attributes: { POSITION: 0, NORMAL: 1, COLOR_0: 2 },
+                indices: 3,
+                material: 0
+            }]
+        }],
+        materials: [{
+            name: 'voxels',
+            pbrMetallicRoughness: { baseColorFactor: [1, 1, 1, 1], metallicFactor: 0, roughnessFactor: 1 },
+            alphaMode: hasTransparency(colors) ? 'BLEND' : 'OPAQUE'
+        }],
+        buffers: [{ byteLength }],
+        bufferViews: [
+            { buffer: 0, byteOffset: offsets[0], byteLength: positions.byteLength, target: GL_ARRAY_BUFFER },
+            { buffer: 0, byteOffset: offsets[1], byteLength: normals.byteLength, target: GL_ARRAY_BUFFER },
+            { buffer: 0, byteOffset: offsets[2], byteLength: colors.byteLength, target: GL_ARRAY_BUFFER },
+            { buffer: 0, byteOffset: offsets[3], byteLength: indices.byteLength, target: GL_ELEMENT_ARRAY_BUFFER }
+        ],
+        accessors: [
+            { bufferView: 0, componentType: GL_FLOAT, count: vertexCount, type: 'VEC3', min: boundsMin, max: boundsMax },
+            { bufferView: 1, componentType: GL_FLOAT, count: vertexCount, type: 'VEC3' },
+            { bufferView: 2, componentType: GL_FLOAT, count: vertexCount, type: 'VEC4' },
+            { bufferView: 3, componentType: GL_UNSIGNED_INT, count: indices.length, type: 'SCALAR' }
+        ]
+    };
+
+    // An empty mesh is still a valid file, just without geometry
+    if (vertexCount === 0) {
+        delete gltf.nodes[0].mesh;
+        delete gltf.meshes;
+        delete gltf.materials;
+        delete gltf.buffers;
+        delete gltf.bufferViews;
+        delete gltf.accessors;
+    }
+
+    // Chunks are padded to 4 bytes: JSON with spaces, binary with zeros
+    let json = JSON.stringify(gltf);
+    while (json.length % 4 !== 0) json += ' ';
+    const jsonBytes = new TextEncoder().encode(json);
+    const binLength = vertexCount === 0 ? 0 : Math.ceil(byteLength / 4) * 4;
+
+    const totalLength = 12 + 8 + jsonBytes.length + (binLength > 0 ? 8 + binLength : 0);
+    const buffer = new ArrayBuffer(totalLength);
+    const data = new DataView(buffer);
+    const bytes = new Uint8Array(buffer);
+
+    data.setUint32(0, GLB_MAGIC, true);
+    data.setUint32(4, 2, true);
+    data.setUint32(8, totalLength, true);
+
+    data.setUint32(12, jsonBytes.length, true);
+    data.setUint32(16, GLB_CHUNK_JSON, true);
+    bytes.set(jsonBytes, 20);
+
+    if (binLength > 0) {
+        const binStart = 20 + jsonBytes.length;
+        data.setUint32(binStart, binLength, true);
+        data.setUint32(binStart + 4, GLB_CHUNK_BIN, true);
+        views.forEach((view, i) => {
+            bytes.set(new Uint8Array(view.buffer, view.byteOffset, view.byteLength), binStart + 8 + offsets[i]);
+        });
+    }
+
+    return buffer;
+}
+
+// OBJ and MTL text. Vertex colors are written as the common "v x y z r g b"
+// extension (read by Blender and MeshLab); faces are also grouped into one
+// material per color so importers without that extension keep the colors.
+export function exportObj(meshData, mtlFileName = 'world.mtl') {
+    const { positions, normals, colors, indices } = meshData;
+    const toByte = value => Math.round(Math.max(0, Math.min(1, value)) * 255);
+    const lines = ['# jsvoxels terrain export', `mtllib ${mtlFileName}`];
+
+    for (let i = 0; i < positions.length / 3; i++) {
+        const c = i * 4;
+        lines.push(`v ${positions[i * 3]} ${positions[i * 3 + 1]} ${positions[i * 3 + 2]} ` +
+            `${colors[c].toFixed(4)} ${colors[c + 1].toFixed(4)} ${colors[c + 2].toFixed(4)}`);
+    }
+    for (let i = 0; i < normals.length; i += 3) {
+        lines.push(`vn ${normals[i]} ${normals[i + 1]} ${normals[i + 2]}`);
+    }
+
+    // Group triangles by the color of their first vertex (quads are flat colored)
+    const faceGroups = new Map();
+    for (let i = 0; i < indices.length; i += 3) {
+        const c = indices[i] * 4;
+        const name = 'color_' + [colors[c], colors[c + 1], colors[c + 2], colors[c + 3]]
+            .map(channel => toByte(channel).toString(16).padStart(2, '0')).join('');
+
+        if (!faceGroups.has(name)) {
+            faceGroups.set(name, { color: [colors[c], colors[c + 1], colors[c + 2], colors[c + 3]], faces: [] });
+        }
+        const [a, b, d] = [indices[i] + 1, indices[i + 1] + 1, indices[i + 2] + 1];
+        faceGroups.get(name).faces.push(`f ${a}//${a} ${b}//${b} ${d}//${d}`);
+    }
+
+    const materials = ['# jsvoxels terrain materials'];
+    for (const [name, { color, faces }] of faceGroups) {
+        lines.push(`usemtl ${name}`, ...faces);
+        materials.push(
+            '',
+            `newmtl ${name}`,
+            `Kd ${color[0].toFixed(4)} ${color[1].toFixed(4)} ${color[2].toFixed(4)}`,
+            'Ka 0 0 0',
+            'Ks 0 0 0',
+            `d ${color[3].toFixed(4)}`,
+            'illum 1'
+        );
+    }
+
+    return { obj: lines.join('\n') + '\n', mtl: materials.join('\n') + '\n' };
+}
\ No newline at end of file
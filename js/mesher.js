@@ -1,10 +1,11 @@
-import { CHUNK_SIZE } from './constants.js';
+import { DEFAULT_WORLD_CONFIG } from './constants.js';
 import { debugLog } from './math-utils.js';
 import { VoxelType } from './voxel-types.js';
 
 export class Mesher {
-    constructor(voxelTypeManager) {
+    constructor(voxelTypeManager, config = DEFAULT_WORLD_CONFIG) {
         this.voxelTypes = voxelTypeManager;
+        this.config = config;
     }
     
     // Generate mesh using greedy meshing algorithm
@@ -13,6 +14,7 @@ export class Mesher {
         const normals = [];
         const colors = [];
         const indices = [];
+        const chunkSize = this.config.chunkSize;
         let indexOffset = 0;
         
         // Skip if chunk is empty
@@ -43,19 +45,19 @@ export class Mesher {
             const negNormals = [[-1,0,0], [0,-1,0], [0,0,-1]]; // -X, -Y, -Z
             
             // Iterate through each slice of the dimension
-            for (let wValue = 0; wValue < CHUNK_SIZE; wValue++) {
+            for (let wValue = 0; wValue < chunkSize; wValue++) {
                 // Two masks for each direction (positive and negative)
-                const maskPos = Array(CHUNK_SIZE + 1).fill().map(() => 
-                    Array(CHUNK_SIZE + 1).fill({ voxelType: 0, transparent: true, visible: false })
+                const maskPos = Array(chunkSize + 1).fill().map(() => 
+                    Array(chunkSize + 1).fill({ voxelType: 0, metadata: 0, transparent: true, visible: false })
                 );
                 
-                const maskNeg = Array(CHUNK_SIZE + 1).fill().map(() => 
-                    Array(CHUNK_SIZE + 1).fill({ voxelType: 0, transparent: true, visible: false })
+                const maskNeg = Array(chunkSize + 1).fill().map(() => 
+                    Array(chunkSize + 1).fill({ voxelType: 0, metadata: 0, transparent: true, visible: false })
                 );
                 
                 // Fill both masks for this slice
-                for (let vValue = 0; vValue < CHUNK_SIZE; vValue++) {
-                    for (let uValue = 0; uValue < CHUNK_SIZE; uValue++) {
+                for (let vValue = 0; vValue < chunkSize; vValue++) {
+                    for (let uValue = 0; uValue < chunkSize; uValue++) {
                         // Set coordinates based on current dimension
                         const x1 = (dim === 0) ? wValue : ((dim === 1) ? uValue : uValue);
                         const y1 = (dim === 0) ? uValue : ((dim === 1) ? wValue : vValue);
@@ -71,9 +73,10 @@ export class Mesher {
                         let z2 = z1 + wDir[2];
                         
                         let voxelPos;
+                        let chunkPos = chunk;
                         
                         // Check if the adjacent voxel is in another chunk
-                        if (x2 < 0 || x2 >= CHUNK_SIZE || y2 < 0 || y2 >= CHUNK_SIZE || z2 < 0 || z2 >= CHUNK_SIZE) {
+                        if (x2 < 0 || x2 >= chunkSize || y2 < 0 || y2 >= chunkSize || z2 < 0 || z2 >= chunkSize) {
                             // Calculate neighbor chunk coordinates
                             let neighborChunkX = chunkX;
                             let neighborChunkY = chunkY;
@@ -81,31 +84,32 @@ export class Mesher {
                             
                             if (x2 < 0) {
                                 neighborChunkX--;
-                                x2 += CHUNK_SIZE;
-                            } else if (x2 >= CHUNK_SIZE) {
+                                x2 += chunkSize;
+                            } else if (x2 >= chunkSize) {
                                 neighborChunkX++;
-                                x2 -= CHUNK_SIZE;
+                                x2 -= chunkSize;
                             }
                             
                             if (y2 < 0) {
                                 neighborChunkY--;
-                                y2 += CHUNK_SIZE;
-                            } else if (y2 >= CHUNK_SIZE) {
+                                y2 += chunkSize;
+                            } else if (y2 >= chunkSize) {
                                 neighborChunkY++;
-                                y2 -= CHUNK_SIZE;
+                                y2 -= chunkSize;
                             }
                             
                             if (z2 < 0) {
                                 neighborChunkZ--;
-                                z2 += CHUNK_SIZE;
-                            } else if (z2 >= CHUNK_SIZE) {
+                                z2 += chunkSize;
+                            } else if (z2 >= chunkSize) {
                                 neighborChunkZ++;
-                                z2 -= CHUNK_SIZE;
+                                z2 -= chunkSize;
                             }
                             
                             // Get neighbor chunk
                             const neighborChunk = getNeighborChunk(neighborChunkX, neighborChunkY, neighborChunkZ);
                             voxelPos = neighborChunk ? neighborChunk.getVoxel(x2, y2, z2) : 0;
+                            chunkPos = neighborChunk;
                         } else {
                             voxelPos = chunk.getVoxel(x2, y2, z2);
                         }
@@ -117,6 +121,7 @@ export class Mesher {
                         if (voxel !== 0 && (voxelPos === 0 || (isTransparent2 && !isTransparent1))) {
                             maskPos[vValue][uValue] = {
                                 voxelType: voxel,
+                                metadata: chunk.getVoxelData(x1, y1, z1),
                                 transparent: isTransparent1,
                                 visible: true
                             };
@@ -126,6 +131,7 @@ export class Mesher {
                         if (voxelPos !== 0 && (voxel === 0 || (!isTransparent2 && isTransparent1))) {
                             maskNeg[vValue][uValue] = {
                                 voxelType: voxelPos,
+                                metadata: chunkPos.getVoxelData(x2, y2, z2),
                                 transparent: isTransparent2,
                                 visible: true
                             };
@@ -157,7 +163,7 @@ export class Mesher {
     
     // Greedy mesh algorithm for a single direction
     greedyMeshDirection(mask, dim, wValue, wDir, uDir, vDir, faceName, normal, positions, normals, colors, indices, indexOffset) {
-        const size = CHUNK_SIZE;
+        const size = this.config.chunkSize;
         
         // Create a visited mask
         const visited = Array(size).fill().map(() => Array(size).fill(false));
@@ -170,15 +176,17 @@ export class Mesher {
                     continue;
                 }
                 
-                // Get voxel type at this position
+                // Get voxel type and metadata at this position
                 const voxelType = mask[vStart][uStart].voxelType;
+                const metadata = mask[vStart][uStart].metadata;
                 
                 // Find maximum width (u direction)
                 let uEnd = uStart;
                 while (uEnd + 1 < size && 
                        !visited[vStart][uEnd + 1] && 
                        mask[vStart][uEnd + 1].visible && 
-                       mask[vStart][uEnd + 1].voxelType === voxelType) {
+                       mask[vStart][uEnd + 1].voxelType === voxelType &&
+                       mask[vStart][uEnd + 1].metadata === metadata) {
                     uEnd++;
                 }
                 
@@ -191,7 +199,8 @@ export class Mesher {
                     for (let u = uStart; u <= uEnd; u++) {
                         if (visited[vEnd + 1][u] || 
                             !mask[vEnd + 1][u].visible || 
-                            mask[vEnd + 1][u].voxelType !== voxelType) {
+                            mask[vEnd + 1][u].voxelType !== voxelType ||
+                            mask[vEnd + 1][u].metadata !== metadata) {
                             canExpandV = false;
                             break;
                         }
@@ -253,8 +262,8 @@ export class Mesher {
                     y4 = vStart + height;
                 }
                 
-                // Get color from voxel type manager
-                const color = this.voxelTypes.getColor(voxelType, faceName);
+                // Get color from voxel type manager (metadata can change it per voxel)
+                const color = this.voxelTypes.getColor(voxelType, faceName, metadata);
                 
                 // Simple directional shading
                 const shade = 1.0 - 0.2 * Math.abs(dim);
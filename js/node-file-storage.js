@@ -0,0 +1,51 @@
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+
+// Storage adapter (see world-storage.js) that keeps one file per chunk in a
+// directory, for running the engine under Node (tools, servers, tests)
+const FILE_EXTENSION = '.chunk';
+
+export class NodeFileStorageAdapter {
+    constructor(directory) {
+        this.directory = directory;
+    }
+
+    // Chunk keys contain commas and minus signs; encode them for any filesystem
+    getFilePath(key) {
+        return path.join(this.directory, encodeURIComponent(key) + FILE_EXTENSION);
+    }
+
+    async load(key) {
+        try {
+            const data = await fs.readFile(this.getFilePath(key));
+            return data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    async save(key, data) {
+        await fs.mkdir(this.directory, { recursive: true });
+
+        // Write to a temporary file first so a crash never leaves a half-written chunk
+        const filePath = this.getFilePath(key);
+        const tempPath = filePath + '.tmp';
+        await fs.writeFile(tempPath, new Uint8Array(data));
+        await fs.rename(tempPath, filePath);
+    }
+
+    async list() {
+        let files;
+        try {
+            files = await fs.readdir(this.directory);
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        return files
+            .filter(file => file.endsWith(FILE_EXTENSION))
+            .map(file => decodeURIComponent(file.slice(0, -FILE_EXTENSION.length)));
+    }
+}
\ No newline at end of file
@@ -0,0 +1,277 @@
+import { SeededRandom } from './random.js';
+
+// Seeded simplex noise in 2, 3 and 4 dimensions (after Stefan Gustavson's
+// reference implementation) and fractal combinators built on top of it.
+// Noise functions take coordinates and return values in about -1 to 1. The
+// combinators take such a function and return a new one with the same
+// arguments, so they compose: fbm(domainWarp(noise.noise2D, ...)).
+// Only arithmetic IEEE 754 defines exactly is used (the skew factors are
+// literals rather than Math.sqrt calls), so results match across engines.
+
+const F2 = 0.3660254037844386;  // (sqrt(3) - 1) / 2
+const G2 = 0.21132486540518713; // (3 - sqrt(3)) / 6
+const F3 = 1 / 3;
+const G3 = 1 / 6;
+const F4 = 0.30901699437494745; // (sqrt(5) - 1) / 4
+const G4 = 0.1381966011250105;  // (5 - sqrt(5)) / 20
+
+// Gradients: cube edge midpoints for 2D and 3D, hypercube edge midpoints for 4D
+const GRAD3 = new Float64Array([
+    1, 1, 0, -1, 1, 0, 1, -1, 0, -1, -1, 0,
+    1, 0, 1, -1, 0, 1, 1, 0, -1, -1, 0, -1,
+    0, 1, 1, 0, -1, 1, 0, 1, -1, 0, -1, -1
+]);
+const GRAD4 = new Float64Array([
+    0, 1, 1, 1, 0, 1, 1, -1, 0, 1, -1, 1, 0, 1, -1, -1,
+    0, -1, 1, 1, 0, -1, 1, -1, 0, -1, -1, 1, 0, -1, -1, -1,
+    1, 0, 1, 1, 1, 0, 1, -1, 1, 0, -1, 1, 1, 0, -1, -1,
+    -1, 0, 1, 1, -1, 0, 1, -1, -1, 0, -1, 1, -1, 0, -1, -1,
+    1, 1, 0, 1, 1, 1, 0, -1, 1, -1, 0, 1, 1, -1, 0, -1,
+    -1, 1, 0, 1, -1, 1, 0, -1, -1, -1, 0, 1, -1, -1, 0, -1,
+    1, 1, 1, 0, 1, 1, -1, 0, 1, -1, 1, 0, 1, -1, -1, 0,
+    -1, 1, 1, 0, -1, 1, -1, 0, -1, -1, 1, 0, -1, -1, -1, 0
+]);
+
+export class SimplexNoise {
+    constructor(seed) {
+        // Seeded shuffle of 0-255, doubled so lookups never need wrapping
+        const random = new SeededRandom(seed);
+        const permutation = new Uint8Array(256);
+        for (let i = 0; i < 256; i++) permutation[i] = i;
+        for (let i = 255; i > 0; i--) {
+            const j = random.nextInt(i + 1);
+            [permutation[i], permutation[j]] = [permutation[j], permutation[i]];
+        }
+
+        this.perm = new Uint8Array(512);
+        this.permMod12 = new Uint8Array(512);
+        for (let i = 0; i < 512; i++) {
+            this.perm[i] = permutation[i & 255];
+            this.permMod12[i] = this.perm[i] % 12;
+        }
+
+        // Bound so the methods can be passed around as plain noise functions
+        this.noise2D = this.noise2D.bind(this);
+        this.noise3D = this.noise3D.bind(this);
+        this.noise4D = this.noise4D.bind(this);
+    }
+
+    noise2D(x, y) {
+        const { perm, permMod12 } = this;
+
+        // Skew into the simplex grid and find the containing triangle
+        const s = (x + y) * F2;
+        const i = Math.floor(x + s);
+        const j = Math.floor(y + s);
+        const t = (i + j) * G2;
+        const x0 = x - (i - t);
+        const y0 = y - (j - t);
+
+        const i1 = x0 > y0 ? 1 : 0;
+        const j1 = 1 - i1;
+
+        const x1 = x0 - i1 + G2;
+        const y1 = y0 - j1 + G2;
+        const x2 = x0 - 1 + 2 * G2;
+        const y2 = y0 - 1 + 2 * G2;
+
+        const ii = i & 255;
+        const jj = j & 255;
+        let n = 0;
+
+        let t0 = 0.5 - x0 * x0 - y0 * y0;
+        if (t0 > 0) {
+            const g = permMod12[ii + perm[jj]] * 3;
+            t0 *= t0;
+            n += t0 * t0 * (GRAD3[g] * x0 + GRAD3[g + 1] * y0);
+        }
+        let t1 = 0.5 - x1 * x1 - y1 * y1;
+        if (t1 > 0) {
+            const g = permMod12[ii + i1 + perm[jj + j1]] * 3;
+            t1 *= t1;
+            n += t1 * t1 * (GRAD3[g] * x1 + GRAD3[g + 1] * y1);
+        }
+        let t2 = 0.5 - x2 * x2 - y2 * y2;
+        if (t2 > 0) {
+            const g = permMod12[ii + 1 + perm[jj + 1]] * 3;
+            t2 *= t2;
+            n += t2 * t2 * (GRAD3[g] * x2 + GRAD3[g + 1] * y2);
+        }
+
+        return 70 * n;
+    }
+
+    noise3D(x, y, z) {
+        const s = (x + y + z) * F3;
+        const i = Math.floor(x + s);
+        const j = Math.floor(y + s);
+        const k = Math.floor(z + s);
+        const t = (i + j + k) * G3;
+        const x0 = x - (i - t);
+        const y0 = y - (j - t);
+        const z0 = z - (k - t);
+
+        // Order the offsets to find which of the six tetrahedra holds the point
+        let i1, j1, k1, i2, j2, k2;
+        if (x0 >= y0) {
+            if (y0 >= z0) { i1 = 1; j1 = 0; k1 = 0; i2 = 1; j2 = 1; k2 = 0; }
+            else if (x0 >= z0) { i1 = 1; j1 = 0; k1 = 0; i2 = 1; j2 = 0; k2 = 1; }
+            else { i1 = 0; j1 = 0; k1 = 1; i2 = 1; j2 = 0; k2 = 1; }
+        } else {
+            if (y0 < z0) { i1 = 0; j1 = 0; k1 = 1; i2 = 0; j2 = 1; k2 = 1; }
+            else if (x0 < z0) { i1 = 0; j1 = 1; k1 = 0; i2 = 0; j2 = 1; k2 = 1; }
+            else { i1 = 0; j1 = 1; k1 = 0; i2 = 1; j2 = 1; k2 = 0; }
+        }
+
+        const ii = i & 255;
+        const jj = j & 255;
+        const kk = k & 255;
+
+        const n = this.corner3(x0, y0, z0, ii, jj, kk) +
+            this.corner3(x0 - i1 + G3, y0 - j1 + G3, z0 - k1 + G3, ii + i1, jj + j1, kk + k1) +
+            this.corner3(x0 - i2 + 2 * G3, y0 - j2 + 2 * G3, z0 - k2 + 2 * G3, ii + i2, jj + j2, kk + k2) +
+            this.corner3(x0 - 1 + 3 * G3, y0 - 1 + 3 * G3, z0 - 1 + 3 * G3, ii + 1, jj + 1, kk + 1);
+
+        return 32 * n;
+    }
+
+    // Contribution of one tetrahedron corner, given the offset to it and its
+    // (wrapped) lattice coordinates
+    corner3(x, y, z, i, j, k) {
+        let t = 0.6 - x * x - y * y - z * z;
+        if (t <= 0) return 0;
+        const g = this.permMod12[i + this.perm[j + this.perm[k]]] * 3;
+        t *= t;
+        return t * t * (GRAD3[g] * x + GRAD3[g + 1] * y + GRAD3[g + 2] * z);
+    }
+
+    noise4D(x, y, z, w) {
+        const { perm } = this;
+
+        const s = (x + y + z + w) * F4;
+        const i = Math.floor(x + s);
+        const j = Math.floor(y + s);
+        const k = Math.floor(z + s);
+        const l = Math.floor(w + s);
+        const t = (i + j + k + l) * G4;
+        const x0 = x - (i - t);
+        const y0 = y - (j - t);
+        const z0 = z - (k - t);
+        const w0 = w - (l - t);
+
+        // Rank the offsets; the simplex corners step along the axes from the
+        // largest offset to the smallest
+        let rankX = 0, rankY = 0, rankZ = 0, rankW = 0;
+        if (x0 > y0) rankX++; else rankY++;
+        if (x0 > z0) rankX++; else rankZ++;
+        if (x0 > w0) rankX++; else rankW++;
+        if (y0 > z0) rankY++; else rankZ++;
+        if (y0 > w0) rankY++; else rankW++;
+        if (z0 > w0) rankZ++; else rankW++;
+
+        const ii = i & 255;
+        const jj = j & 255;
+        const kk = k & 255;
+        const ll = l & 255;
+        let n = 0;
+
+        for (let corner = 0; corner <= 4; corner++) {
+            // Corner c has moved one step on the axes ranked 4 - c or higher
+            const di = corner === 0 ? 0 : (rankX >= 4 - corner ? 1 : 0);
+            const dj = corner === 0 ? 0 : (rankY >= 4 - corner ? 1 : 0);
+            const dk = corner === 0 ? 0 : (rankZ >= 4 - corner ? 1 : 0);
+            const dl = corner === 0 ? 0 : (rankW >= 4 - corner ? 1 : 0);
+
+            const cx = x0 - di + corner * G4;
+            const cy = y0 - dj + corner * G4;
+            const cz = z0 - dk + corner * G4;
+            const cw = w0 - dl + corner * G4;
+
+            let tc = 0.6 - cx * cx - cy * cy - cz * cz - cw * cw;
+            if (tc <= 0) continue;
+            const g = (perm[ii + di + perm[jj + dj + perm[kk + dk + perm[ll + dl]]]] % 32) * 4;
+            tc *= tc;
+            n += tc * tc * (GRAD4[g] * cx + GRAD4[g + 1] * cy + GRAD4[g + 2] * cz + GRAD4[g + 3] * cw);
+        }
+
+        return 27 * n;
+    }
+}
+
+// Sum octaves of a noise function at rising frequency and falling amplitude.
+// Each octave's result passes through shape (identity for plain fBm); the
+// total is divided by the summed amplitudes so the range of one octave is kept.
+// Combinators take up to four coordinates; unused ones are ignored by 2D and
+// 3D noise (spreading argument arrays per octave would be much slower).
+function sumOctaves(noise, { octaves = 4, frequency = 1, lacunarity = 2, gain = 0.5 }, shape) {
+    return (x, y, z, w) => {
+        let total = 0;
+        let amplitude = 1;
+        let amplitudeSum = 0;
+        let scale = frequency;
+
+        for (let octave = 0; octave < octaves; octave++) {
+            total += shape(noise(x * scale, y * scale, z * scale, w * scale)) * amplitude;
+            amplitudeSum += amplitude;
+            amplitude *= gain;
+            scale *= lacunarity;
+        }
+
+        return total / amplitudeSum;
+    };
+}
+
+// Fractal Brownian motion: -1 to 1
+export function fbm(noise, options = {}) {
+    return sumOctaves(noise, options, v => v);
+}
+
+// Billow: folded octaves (puffy, rounded shapes), -1 to 1
+export function billow(noise, options = {}) {
+    return sumOctaves(noise, options, v => 2 * Math.abs(v) - 1);
+}
+
+// Ridged multifractal (Musgrave): sharp crests where the noise crosses zero,
+// with each octave weighted by the one before so detail gathers on the
+// ridges. 0 to about 1.
+export function ridged(noise, { octaves = 4, frequency = 1, lacunarity = 2, gain = 0.5, offset = 1, sharpness = 2 } = {}) {
+    return (x, y, z, w) => {
+        let total = 0;
+        let amplitude = 1;
+        let amplitudeSum = 0;
+        let weight = 1;
+        let scale = frequency;
+
+        for (let octave = 0; octave < octaves; octave++) {
+            let signal = offset - Math.abs(noise(x * scale, y * scale, z * scale, w * scale));
+            signal *= signal * weight;
+            weight = Math.max(0, Math.min(1, signal * sharpness));
+
+            total += signal * amplitude;
+            amplitudeSum += amplitude;
+            amplitude *= gain;
+            scale *= lacunarity;
+        }
+
+        return total / amplitudeSum;
+    };
+}
+
+// Offsets that decorrelate the warp along each axis
+const WARP_OFFSETS = [
+    [0, 0, 0, 0],
+    [5.2, 1.3, 7.1, 3.7],
+    [9.4, 6.8, 2.9, 8.3],
+    [3.1, 8.6, 4.4, 1.9]
+];
+
+// Domain warp: move the sample point by warp noise (strength is in input
+// units) before evaluating noise, which bends straight features into
+// organic ones
+export function domainWarp(noise, warp, { strength = 1 } = {}) {
+    return (...coords) => {
+        const warped = coords.map((v, axis) =>
+            v + strength * warp(...coords.map((c, j) => c + WARP_OFFSETS[axis][j])));
+        return noise(...warped);
+    };
+}
\ No newline at end of file
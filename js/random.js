@@ -0,0 +1,116 @@
+// Deterministic hashing and random numbers for world generation. Everything
+// here is 32-bit integer math (Math.imul and shifts), which every JavaScript
+// engine evaluates identically, so a seed always produces the same world.
+
+const UINT32_RANGE = 0x100000000;
+
+// Final mixing step of a 32-bit hash (lowbias32); spreads every input bit
+// over the whole output
+export function mix32(h) {
+    h ^= h >>> 16;
+    h = Math.imul(h, 0x7feb352d);
+    h ^= h >>> 15;
+    h = Math.imul(h, 0x846ca68b);
+    h ^= h >>> 16;
+    return h >>> 0;
+}
+
+// FNV-1a over the UTF-16 code units of a string, mixed
+export function hashString(text) {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        h = Math.imul(h ^ text.charCodeAt(i), 0x01000193);
+    }
+    return mix32(h);
+}
+
+// Turn a seed given as a number or string into the unsigned 32-bit seed the
+// generators use. Integers from 0 to 2^32 - 1 are used as they are; other
+// numbers and all strings are hashed.
+export function normalizeSeed(seed) {
+    if (typeof seed === 'number') {
+        if (!Number.isFinite(seed)) {
+            throw new Error(`World seed must be a finite number, got ${seed}`);
+        }
+        if (Number.isInteger(seed) && seed >= 0 && seed < UINT32_RANGE) {
+            return seed;
+        }
+        return hashString(String(seed));
+    }
+    if (typeof seed === 'string') {
+        return hashString(seed);
+    }
+    throw new Error(`World seed must be a number or a string, got ${typeof seed}`);
+}
+
+// Read a seed typed by a person (URL parameter, text field): digits are a
+// number, anything else is a string seed
+export function parseSeed(text) {
+    const trimmed = text.trim();
+    if (/^\d+$/.test(trimmed) && Number(trimmed) < UINT32_RANGE) {
+        return Number(trimmed);
+    }
+    return trimmed;
+}
+
+// A fresh seed for a new world
+export function createRandomSeed() {
+    return Math.floor(Math.random() * UINT32_RANGE);
+}
+
+// Independent seed for one use of a world seed (e.g. 'caves', 'height'), so
+// layers generated from the same world seed don't repeat each other
+export function deriveSeed(seed, salt) {
+    return mix32(normalizeSeed(seed) ^ hashString(salt));
+}
+
+// Hashes of integer lattice coordinates under a seed, as unsigned 32-bit
+// integers. Coordinates are truncated to 32-bit integers.
+export function hash2(seed, x, y) {
+    const h = mix32(seed ^ Math.imul(x | 0, 0x27d4eb2d));
+    return mix32(h ^ Math.imul(y | 0, 0x165667b1));
+}
+
+export function hash3(seed, x, y, z) {
+    return mix32(hash2(seed, x, y) ^ Math.imul(z | 0, 0x9e3779b1));
+}
+
+export function hash4(seed, x, y, z, w) {
+    return mix32(hash3(seed, x, y, z) ^ Math.imul(w | 0, 0x85ebca77));
+}
+
+// Map a 32-bit hash to [0, 1)
+export function hashToUnit(h) {
+    return h / UINT32_RANGE;
+}
+
+// Seeded pseudo-random number generator (mulberry32)
+export class SeededRandom {
+    constructor(seed) {
+        this.state = normalizeSeed(seed);
+    }
+
+    // Next unsigned 32-bit integer
+    nextUint32() {
+        this.state = (this.state + 0x6d2b79f5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return (t ^ (t >>> 14)) >>> 0;
+    }
+
+    // Next number in [0, 1)
+    next() {
+        return this.nextUint32() / UINT32_RANGE;
+    }
+
+    // Next integer from 0 to max - 1
+    nextInt(max) {
+        return Math.floor(this.next() * max);
+    }
+
+    // Next number in [min, max)
+    nextRange(min, max) {
+        return min + this.next() * (max - min);
+    }
+}
\ No newline at end of file
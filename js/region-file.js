@@ -0,0 +1,330 @@
+// Region files pack a cube of regionSize^3 chunks into one buffer, so storage
+// holds one entry per region instead of one per chunk.
+//
+// Layout (little endian):
+//   header   - magic "JVRG" (4 bytes), version (u8), log2 region size (u8), reserved (u16)
+//   offsets  - one 8-byte entry per chunk in y, z, x order like voxel arrays:
+//              first sector (u32, 0 = no chunk), payload length in bytes (u32)
+//   sectors  - chunk payloads, each starting on a SECTOR_SIZE boundary:
+//              compression type (u8) followed by the compressed chunk data
+// The header and offset table fill the leading sectors. A chunk that is
+// rewritten stays in its sectors when it still fits and frees the rest;
+// otherwise it moves to the first free run large enough, or to the end.
+
+export const REGION_FORMAT_VERSION = 1;
+export const DEFAULT_REGION_SIZE = 8;   // Chunks per region edge (power of two); 8 keeps the offset table at 4 KB
+export const SECTOR_SIZE = 256;         // Bytes per sector
+
+export const COMPRESSION_NONE = 0;
+export const COMPRESSION_RLE = 1;
+
+const REGION_MAGIC = [0x4A, 0x56, 0x52, 0x47]; // "JVRG"
+const REGION_HEADER_SIZE = 8;
+const REGION_ENTRY_SIZE = 8;
+const MAX_REGION_SIZE = 64;
+const MAX_REGION_SIZE_LOG2 = Math.log2(MAX_REGION_SIZE);
+
+// Split chunk coordinates into region coordinates and the position inside the region
+export function getRegionCoords(chunkX, chunkY, chunkZ, regionSize = DEFAULT_REGION_SIZE) {
+    const regionX = Math.floor(chunkX / regionSize);
+    const regionY = Math.floor(chunkY / regionSize);
+    const regionZ = Math.floor(chunkZ / regionSize);
+
+    return {
+        region: [regionX, regionY, regionZ],
+        local: [chunkX - regionX * regionSize, chunkY - regionY * regionSize, chunkZ - regionZ * regionSize]
+    };
+}
+
+// Run-length encoding in the PackBits style: a control byte below 128 is
+// followed by control + 1 literal bytes, a control byte of 128 or more
+// repeats the next byte control - 125 times (3 to 130).
+export function compressRle(bytes) {
+    const output = [];
+    let i = 0;
+
+    while (i < bytes.length) {
+        // Measure the run starting here
+        let run = 1;
+        while (i + run < bytes.length && run < 130 && bytes[i + run] === bytes[i]) {
+            run++;
+        }
+
+        if (run >= 3) {
+            output.push(run + 125, bytes[i]);
+            i += run;
+            continue;
+        }
+
+        // Gather literals until the next run of three or the literal limit
+        const start = i;
+        while (i < bytes.length && i - start < 128) {
+            if (i + 2 < bytes.length && bytes[i] === bytes[i + 1] && bytes[i] === bytes[i + 2]) break;
+            i++;
+        }
+
+        output.push(i - start - 1);
+        for (let j = start; j < i; j++) {
+            output.push(bytes[j]);
+        }
+    }
+
+    return new Uint8Array(output);
+}
+
+export function decompressRle(bytes) {
+    const output = [];
+    let i = 0;
+
+    while (i < bytes.length) {
+        const control = bytes[i++];
+
+        if (control < 128) {
+            const count = control + 1;
+            if (i + count > bytes.length) {
+                throw new Error('Region chunk data corrupt: literal run past end of data');
+            }
+            for (let j = 0; j < count; j++) {
+                output.push(bytes[i++]);
+            }
+        } else {
+            if (i >= bytes.length) {
+                throw new Error('Region chunk data corrupt: repeat run past end of data');
+            }
+            const value = bytes[i++];
+            for (let j = 0; j < control - 125; j++) {
+                output.push(value);
+            }
+        }
+    }
+
+    return new Uint8Array(output);
+}
+
+// Read-only access to a region file
+export class RegionReader {
+    constructor(buffer) {
+        const bytes = new Uint8Array(buffer);
+
+        if (bytes.length < REGION_HEADER_SIZE) {
+            throw new Error(`Region file truncated: ${bytes.length} bytes`);
+        }
+        for (let i = 0; i < REGION_MAGIC.length; i++) {
+            if (bytes[i] !== REGION_MAGIC[i]) {
+                throw new Error('Not a region file (bad magic)');
+            }
+        }
+        if (bytes[4] !== REGION_FORMAT_VERSION) {
+            throw new Error(`Unsupported region format version ${bytes[4]}`);
+        }
+
+        // Check the stored exponent, not the shifted size, which wraps for 31 and up
+        if (bytes[5] > MAX_REGION_SIZE_LOG2) {
+            throw new Error(`Region log2 size ${bytes[5]} exceeds maximum of ${MAX_REGION_SIZE_LOG2}`);
+        }
+        const regionSize = 1 << bytes[5];
+
+        this.setRegionSize(regionSize);
+        if (bytes.length < this.headerSectors * SECTOR_SIZE) {
+            throw new Error(`Region file truncated: offset table needs ${this.headerSectors * SECTOR_SIZE} bytes, got ${bytes.length}`);
+        }
+
+        this.setBytes(bytes);
+    }
+
+    setRegionSize(regionSize) {
+        this.regionSize = regionSize;
+        this.entryCount = regionSize * regionSize * regionSize;
+        this.headerSectors = Math.ceil((REGION_HEADER_SIZE + this.entryCount * REGION_ENTRY_SIZE) / SECTOR_SIZE);
+    }
+
+    setBytes(bytes) {
+        this.bytes = bytes;
+        this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    }
+
+    // Byte offset of a chunk's entry in the offset table
+    getEntryOffset(x, y, z) {
+        const size = this.regionSize;
+        if (x < 0 || x >= size || y < 0 || y >= size || z < 0 || z >= size) {
+            throw new Error(`Chunk ${x},${y},${z} lies outside a region of size ${size}`);
+        }
+        return REGION_HEADER_SIZE + ((y * size * size) + (z * size) + x) * REGION_ENTRY_SIZE;
+    }
+
+    getEntry(x, y, z) {
+        const offset = this.getEntryOffset(x, y, z);
+        return {
+            sector: this.view.getUint32(offset, true),
+            length: this.view.getUint32(offset + 4, true)
+        };
+    }
+
+    has(x, y, z) {
+        return this.getEntry(x, y, z).sector !== 0;
+    }
+
+    // Decompressed chunk data as an ArrayBuffer, or null if the chunk is absent
+    read(x, y, z) {
+        const { sector, length } = this.getEntry(x, y, z);
+        if (sector === 0) return null;
+
+        const start = sector * SECTOR_SIZE;
+        if (length < 1 || start + length > this.bytes.length) {
+            throw new Error(`Region entry for chunk ${x},${y},${z} points past end of file`);
+        }
+
+        const compression = this.bytes[start];
+        const data = this.bytes.subarray(start + 1, start + length);
+
+        switch (compression) {
+            case COMPRESSION_NONE:
+                return data.slice().buffer;
+            case COMPRESSION_RLE:
+                return decompressRle(data).buffer;
+            default:
+                throw new Error(`Unknown compression type ${compression} for chunk ${x},${y},${z}`);
+        }
+    }
+
+    // Local coordinates [x, y, z] of every chunk stored in the region
+    listChunks() {
+        const size = this.regionSize;
+        const chunks = [];
+
+        for (let y = 0; y < size; y++) {
+            for (let z = 0; z < size; z++) {
+                for (let x = 0; x < size; x++) {
+                    if (this.has(x, y, z)) chunks.push([x, y, z]);
+                }
+            }
+        }
+
+        return chunks;
+    }
+}
+
+// Region file that can be edited in place. Starts empty or from an existing buffer.
+export class RegionWriter extends RegionReader {
+    constructor(buffer = null, regionSize = DEFAULT_REGION_SIZE) {
+        if (buffer) {
+            super(buffer);
+            // Work on a private copy; the caller's buffer is never modified
+            this.setBytes(this.bytes.slice());
+        } else {
+            if (regionSize < 1 || regionSize > MAX_REGION_SIZE || (regionSize & (regionSize - 1)) !== 0) {
+                throw new Error(`Region size must be a power of two up to ${MAX_REGION_SIZE}, got ${regionSize}`);
+            }
+
+            const header = new Uint8Array(Math.ceil((REGION_HEADER_SIZE + regionSize ** 3 * REGION_ENTRY_SIZE) / SECTOR_SIZE) * SECTOR_SIZE);
+            header.set(REGION_MAGIC, 0);
+            header[4] = REGION_FORMAT_VERSION;
+            header[5] = Math.log2(regionSize);
+            super(header.buffer);
+        }
+
+        // Which sectors hold chunk data (the header sectors are always in use)
+        this.sectorCount = Math.ceil(this.bytes.length / SECTOR_SIZE);
+        this.usedSectors = new Uint8Array(this.sectorCount);
+        this.usedSectors.fill(1, 0, this.headerSectors);
+
+        for (const [x, y, z] of this.listChunks()) {
+            const { sector, length } = this.getEntry(x, y, z);
+            this.usedSectors.fill(1, sector, sector + Math.ceil(length / SECTOR_SIZE));
+        }
+    }
+
+    // Make sure the buffer and sector map cover at least sectorCount sectors
+    ensureSectors(sectorCount) {
+        if (sectorCount <= this.sectorCount) return;
+
+        if (sectorCount * SECTOR_SIZE > this.bytes.length) {
+            const grown = new Uint8Array(Math.max(sectorCount * SECTOR_SIZE, this.bytes.length * 2));
+            grown.set(this.bytes);
+            this.setBytes(grown);
+        }
+
+        const usedSectors = new Uint8Array(Math.ceil(this.bytes.length / SECTOR_SIZE));
+        usedSectors.set(this.usedSectors);
+        this.usedSectors = usedSectors;
+        this.sectorCount = sectorCount;
+    }
+
+    // First run of free sectors long enough for count sectors. A free run at
+    // the end of the file may be extended past it.
+    findFreeSectors(count) {
+        let runStart = this.headerSectors;
+
+        for (let sector = this.headerSectors; sector < this.sectorCount; sector++) {
+            if (this.usedSectors[sector]) {
+                runStart = sector + 1;
+            } else if (sector - runStart + 1 >= count) {
+                return runStart;
+            }
+        }
+
+        return runStart;
+    }
+
+    setEntry(x, y, z, sector, length) {
+        const offset = this.getEntryOffset(x, y, z);
+        this.view.setUint32(offset, sector, true);
+        this.view.setUint32(offset + 4, length, true);
+    }
+
+    // Store chunk data (an ArrayBuffer or typed array), replacing any previous version
+    write(x, y, z, data) {
+        const raw = ArrayBuffer.isView(data)
+            ? new Uint8Array(data.buffer, data.byteOffset, data.byteLength)
+            : new Uint8Array(data);
+
+        // Compress each chunk on its own and keep it raw if that is smaller
+        const compressed = compressRle(raw);
+        const compression = compressed.length < raw.length ? COMPRESSION_RLE : COMPRESSION_NONE;
+        const body = compression === COMPRESSION_RLE ? compressed : raw;
+        const length = body.length + 1;
+        const needed = Math.ceil(length / SECTOR_SIZE);
+
+        // Reuse the chunk's current sectors when the new data still fits
+        const previous = this.getEntry(x, y, z);
+        const previousSectors = Math.ceil(previous.length / SECTOR_SIZE);
+        let sector;
+
+        if (previous.sector !== 0 && needed <= previousSectors) {
+            sector = previous.sector;
+            this.usedSectors.fill(0, sector + needed, sector + previousSectors);
+        } else {
+            if (previous.sector !== 0) {
+                this.usedSectors.fill(0, previous.sector, previous.sector + previousSectors);
+            }
+            sector = this.findFreeSectors(needed);
+            this.ensureSectors(sector + needed);
+        }
+
+        const start = sector * SECTOR_SIZE;
+        this.bytes.fill(0, start, start + needed * SECTOR_SIZE);
+        this.bytes[start] = compression;
+        this.bytes.set(body, start + 1);
+        this.usedSectors.fill(1, sector, sector + needed);
+        this.setEntry(x, y, z, sector, length);
+    }
+
+    // Remove a chunk and free its sectors
+    delete(x, y, z) {
+        const { sector, length } = this.getEntry(x, y, z);
+        if (sector === 0) return false;
+
+        this.usedSectors.fill(0, sector, sector + Math.ceil(length / SECTOR_SIZE));
+        this.setEntry(x, y, z, 0, 0);
+        return true;
+    }
+
+    // The region file as a standalone ArrayBuffer, without trailing free sectors
+    toArrayBuffer() {
+        let end = this.sectorCount;
+        while (end > this.headerSectors && !this.usedSectors[end - 1]) {
+            end--;
+        }
+        return this.bytes.slice(0, end * SECTOR_SIZE).buffer;
+    }
+}
\ No newline at end of file
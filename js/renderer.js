@@ -1,16 +1,19 @@
-import { DEBUG } from './constants.js';
+import { DEBUG, DEFAULT_WORLD_CONFIG } from './constants.js';
 import { mat4, debugLog } from './math-utils.js';
-import { CHUNK_SIZE, RENDER_DISTANCE } from './constants.js';
 
 export class Renderer {
-    constructor(canvas) {
+    constructor(canvas, config = DEFAULT_WORLD_CONFIG) {
         this.canvas = canvas;
+        this.config = config;
         this.gl = canvas.getContext('webgl');
 
         if (!this.gl) {
             throw new Error('WebGL not supported');
         }
 
+        // Large chunks can exceed 65535 vertices per mesh and need 32-bit indices
+        this.supportsUintIndices = !!this.gl.getExtension('OES_element_index_uint');
+
         this.programInfo = null;
         this.initWebGL();
         this.currentFrustum = null;
@@ -140,9 +143,15 @@ export class Renderer {
         this.gl.bindBuffer(this.gl.ARRAY_BUFFER, colorBuffer);
         this.gl.bufferData(this.gl.ARRAY_BUFFER, new Float32Array(colors), this.gl.STATIC_DRAW);
 
+        const useUintIndices = positions.length / 3 > 0xFFFF;
+        if (useUintIndices && !this.supportsUintIndices) {
+            console.error('Mesh has more than 65535 vertices but 32-bit indices are not supported');
+        }
+
         const indexBuffer = this.gl.createBuffer();
         this.gl.bindBuffer(this.gl.ELEMENT_ARRAY_BUFFER, indexBuffer);
-        this.gl.bufferData(this.gl.ELEMENT_ARRAY_BUFFER, new Uint16Array(indices), this.gl.STATIC_DRAW);
+        this.gl.bufferData(this.gl.ELEMENT_ARRAY_BUFFER,
+            useUintIndices ? new Uint32Array(indices) : new Uint16Array(indices), this.gl.STATIC_DRAW);
 
         // Return mesh object
         return {
@@ -151,6 +160,7 @@ export class Renderer {
             color: colorBuffer,
             indices: indexBuffer,
             vertexCount: indices.length,
+            indexType: useUintIndices ? this.gl.UNSIGNED_INT : this.gl.UNSIGNED_SHORT,
             worldOffset
         };
     }
@@ -272,7 +282,7 @@ export class Renderer {
             this.gl.drawElements(
                 this.gl.TRIANGLES,
                 mesh.vertexCount,
-                this.gl.UNSIGNED_SHORT,
+                mesh.indexType,
                 0);
 
             drawnChunks++;
@@ -295,9 +305,9 @@ export class Renderer {
         const minX = mesh.worldOffset[0];
         const minY = mesh.worldOffset[1];
         const minZ = mesh.worldOffset[2];
-        const maxX = minX + CHUNK_SIZE;
-        const maxY = minY + CHUNK_SIZE;
-        const maxZ = minZ + CHUNK_SIZE;
+        const maxX = minX + this.config.chunkSize;
+        const maxY = minY + this.config.chunkSize;
+        const maxZ = minZ + this.config.chunkSize;
 
         return mat4.isBoxInFrustum(this.currentFrustum, minX, minY, minZ, maxX, maxY, maxZ);
     }
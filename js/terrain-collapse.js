@@ -0,0 +1,172 @@
+import { debugLog } from './math-utils.js';
+import { VoxelType } from './voxel-types.js';
+
+// Collapse of unsupported terrain. After an edit, solid voxels next to the
+// cells it cleared are flood filled (6-connected) to see whether they still
+// connect to something that holds them up: bedrock, the optional anchor
+// layer, the edge of the loaded world, or a group too large to move. Groups
+// that connect to none of these fall straight down as one piece until they
+// land on something. Open space (see ChunkManager.isEmptySpace) neither
+// holds terrain up nor falls.
+
+export const DEFAULT_COLLAPSE_OPTIONS = {
+    maxGroupSize: 4096,     // Larger groups are treated as supported and stay put
+    anchorY: null,          // Voxels at or below this world Y are anchored (null: bedrock only)
+    maxFallDistance: 256    // Groups that find no ground within this many voxels stay put
+};
+
+const NEIGHBOR_OFFSETS = [[-1, 0, 0], [1, 0, 0], [0, -1, 0], [0, 1, 0], [0, 0, -1], [0, 0, 1]];
+
+function isLoaded(chunkManager, x, y, z) {
+    const chunkSize = chunkManager.config.chunkSize;
+    return chunkManager.hasChunk(Math.floor(x / chunkSize), Math.floor(y / chunkSize), Math.floor(z / chunkSize));
+}
+
+// Solid voxel groups that have lost their support, searched from the solid
+// voxels in a list of [min, max] boxes (inclusive, each grown by one voxel)
+// around the cells an edit cleared. Each group is a list of
+// [x, y, z, type, metadata] entries.
+export function findFloatingGroups(chunkManager, boxes, options = {}) {
+    const { maxGroupSize, anchorY } = { ...DEFAULT_COLLAPSE_OPTIONS, ...options };
+    const supported = new Set(); // Voxels known to be held up
+    const visited = new Set();   // Voxels already assigned to a floating group
+    const groups = [];
+
+    for (const [min, max] of boxes) {
+        for (let y = min[1] - 1; y <= max[1] + 1; y++) {
+            for (let z = min[2] - 1; z <= max[2] + 1; z++) {
+                for (let x = min[0] - 1; x <= max[0] + 1; x++) {
+                    // Cleared cells are open space, so most of a box is skipped before any key is built
+                    if (!isLoaded(chunkManager, x, y, z) || chunkManager.isEmptySpace(chunkManager.getVoxel(x, y, z))) continue;
+                    const key = `${x},${y},${z}`;
+                    if (supported.has(key) || visited.has(key)) continue;
+
+                    // Flood the group until it proves to be supported
+                    const group = [];
+                    const seen = new Set([key]);
+                    const stack = [[x, y, z]];
+                    let grounded = false;
+
+                    while (stack.length > 0 && !grounded) {
+                        const [vx, vy, vz] = stack.pop();
+                        const voxelType = chunkManager.getVoxel(vx, vy, vz);
+                        group.push([vx, vy, vz, voxelType, chunkManager.getVoxelData(vx, vy, vz)]);
+
+                        if (voxelType === VoxelType.BEDROCK || (anchorY !== null && vy <= anchorY) ||
+                            group.length > maxGroupSize) {
+                            grounded = true;
+                            break;
+                        }
+
+                        for (const [dx, dy, dz] of NEIGHBOR_OFFSETS) {
+                            const nx = vx + dx;
+                            const ny = vy + dy;
+                            const nz = vz + dz;
+                            const neighborKey = `${nx},${ny},${nz}`;
+                            if (seen.has(neighborKey)) continue;
+                            seen.add(neighborKey);
+
+                            // Unloaded terrain is unknown, so assume it holds the group up
+                            if (supported.has(neighborKey) || !isLoaded(chunkManager, nx, ny, nz)) {
+                                grounded = true;
+                                break;
+                            }
+                            if (!chunkManager.isEmptySpace(chunkManager.getVoxel(nx, ny, nz))) {
+                                stack.push([nx, ny, nz]);
+                            }
+                        }
+                    }
+
+                    if (grounded) {
+                        for (const [vx, vy, vz] of group) supported.add(`${vx},${vy},${vz}`);
+                    } else {
+                        for (const [vx, vy, vz] of group) visited.add(`${vx},${vy},${vz}`);
+                        groups.push(group);
+                    }
+                }
+            }
+        }
+    }
+
+    return groups;
+}
+
+// How far a group can fall before one of its voxels would hit something.
+// Stops above unloaded chunks and the bottom of the world.
+export function getFallDistance(chunkManager, group, maxFallDistance = DEFAULT_COLLAPSE_OPTIONS.maxFallDistance) {
+    const members = new Set(group.map(([x, y, z]) => `${x},${y},${z}`));
+    const chunkSize = chunkManager.config.chunkSize;
+    let distance = maxFallDistance + 1;
+
+    for (const [x, y, z] of group) {
+        // Only the lowest voxel of each run in a column can hit anything
+        if (members.has(`${x},${y - 1},${z}`)) continue;
+
+        let fall = 0;
+        while (fall < distance) {
+            const below = y - fall - 1;
+            if (!chunkManager.isChunkInWorld(Math.floor(below / chunkSize)) || !isLoaded(chunkManager, x, below, z)) break;
+            if (!members.has(`${x},${below},${z}`) && !chunkManager.isEmptySpace(chunkManager.getVoxel(x, below, z))) break;
+            fall++;
+        }
+        distance = Math.min(distance, fall);
+    }
+
+    return distance > maxFallDistance ? 0 : distance;
+}
+
+// Writes that move a group down by distance. The group falls through open
+// space, fluids included, so the cells it leaves take whatever it displaced
+// where it lands: matched up column by column, bottom to top, water sinks
+// into the gap above the group instead of being deleted.
+function getFallWrites(chunkManager, group, distance) {
+    const members = new Set(group.map(([x, y, z]) => `${x},${y},${z}`));
+    const displaced = new Map(); // "x,z" -> [voxelType, metadata] of cells taken, bottom to top
+    const vacated = new Map();   // "x,z" -> cells left, bottom to top
+    const writes = [];
+
+    for (const [x, y, z, voxelType, metadata] of [...group].sort((a, b) => a[1] - b[1])) {
+        const column = `${x},${z}`;
+        if (!members.has(`${x},${y - distance},${z}`)) {
+            if (!displaced.has(column)) displaced.set(column, []);
+            displaced.get(column).push([chunkManager.getVoxel(x, y - distance, z), chunkManager.getVoxelData(x, y - distance, z)]);
+        }
+        if (!members.has(`${x},${y + distance},${z}`)) {
+            if (!vacated.has(column)) vacated.set(column, []);
+            vacated.get(column).push([x, y, z]);
+        }
+        writes.push([x, y - distance, z, voxelType, metadata]);
+    }
+
+    // A rigid fall takes as many cells in each column as it leaves
+    for (const [column, cells] of vacated) {
+        const taken = displaced.get(column);
+        cells.forEach(([x, y, z], i) => writes.push([x, y, z, ...taken[i]]));
+    }
+
+    return writes;
+}
+
+// Drop the floating groups around the cleared boxes of an edit (see
+// findFloatingGroups). Lower groups fall first so higher
+// ones can land on them. Must be called inside an edit transaction; returns
+// the number of groups that fell.
+export function collapseFloatingTerrain(chunkManager, boxes, options = {}) {
+    const settings = { ...DEFAULT_COLLAPSE_OPTIONS, ...options };
+    const groups = findFloatingGroups(chunkManager, boxes, settings);
+    const lowestY = group => Math.min(...group.map(voxel => voxel[1]));
+    groups.sort((a, b) => lowestY(a) - lowestY(b));
+
+    let fallen = 0;
+    for (const group of groups) {
+        const distance = getFallDistance(chunkManager, group, settings.maxFallDistance);
+        if (distance === 0) continue;
+
+        chunkManager.setVoxels(getFallWrites(chunkManager, group, distance));
+
+        debugLog(`Dropped floating group of ${group.length} voxels by ${distance}`);
+        fallen++;
+    }
+
+    return fallen;
+}
\ No newline at end of file
@@ -0,0 +1,580 @@
+import { VoxelType } from './voxel-types.js';
+import { debugLog } from './math-utils.js';
+
+// MagicaVoxel .vox files (version 150) export and import. Models are at most 256 voxels on each
+// axis, so larger regions are split into a grid of models that a scene graph
+// (nTRN / nGRP / nSHP nodes) places side by side.
+//
+// MagicaVoxel is Z-up while the engine is Y-up: world X maps to vox X,
+// world Y to vox Z and world Z to vox -Y, which keeps the handedness.
+
+export const VOX_VERSION = 150;
+export const MAX_VOX_MODEL_SIZE = 256;
+const MAX_VOX_COLORS = 255; // Palette index 0 means empty
+
+// Growable little-endian byte buffer for the RIFF-style chunks
+class VoxWriter {
+    constructor(capacity = 64) {
+        this.bytes = new Uint8Array(capacity);
+        this.length = 0;
+    }
+
+    reserve(count) {
+        if (this.length + count <= this.bytes.length) return;
+
+        const grown = new Uint8Array(Math.max(this.length + count, this.bytes.length * 2));
+        grown.set(this.bytes.subarray(0, this.length));
+        this.bytes = grown;
+    }
+
+    byte(value) {
+        this.reserve(1);
+        this.bytes[this.length++] = value;
+    }
+
+    int32(value) {
+        this.reserve(4);
+        for (let i = 0; i < 4; i++) {
+            this.bytes[this.length++] = (value >> (i * 8)) & 0xFF;
+        }
+    }
+
+    id(text) {
+        for (let i = 0; i < 4; i++) {
+            this.byte(text.charCodeAt(i));
+        }
+    }
+
+    string(text) {
+        this.int32(text.length);
+        for (let i = 0; i < text.length; i++) {
+            this.byte(text.charCodeAt(i));
+        }
+    }
+
+    dict(entries) {
+        const keys = Object.keys(entries);
+        this.int32(keys.length);
+        for (const key of keys) {
+            this.string(key);
+            this.string(String(entries[key]));
+        }
+    }
+
+    append(writer) {
+        this.reserve(writer.length);
+        this.bytes.set(writer.bytes.subarray(0, writer.length), this.length);
+        this.length += writer.length;
+    }
+
+    // Append a chunk whose content is written by fill(writer)
+    chunk(id, fill, children = []) {
+        const content = new VoxWriter();
+        fill(content);
+
+        let childBytes = 0;
+        for (const child of children) {
+            childBytes += child.length;
+        }
+
+        this.id(id);
+        this.int32(content.length);
+        this.int32(childBytes);
+        this.append(content);
+        for (const child of children) {
+            this.append(child);
+        }
+    }
+
+    toArrayBuffer() {
+        return this.bytes.slice(0, this.length).buffer;
+    }
+}
+
+// Builds the 255-entry palette, one entry per distinct color
+class VoxPaletteBuilder {
+    constructor(voxelTypes, face) {
+        this.voxelTypes = voxelTypes;
+        this.face = face;
+        this.colors = [];                 // [r, g, b, a] bytes per palette entry
+        this.colorIndices = new Map();    // Packed RGBA -> palette index (1-255)
+        this.voxelIndices = new Map();    // Packed type/metadata -> palette index
+    }
+
+    // Palette index for a voxel; once the palette is full, the nearest color is reused
+    getIndex(voxelType, metadata) {
+        const voxelKey = metadata * 0x10000 + voxelType;
+        let index = this.voxelIndices.get(voxelKey);
+        if (index !== undefined) return index;
+
+        const color = this.voxelTypes.getColor(voxelType, this.face, metadata)
+            .map(channel => Math.round(Math.max(0, Math.min(1, channel)) * 255));
+        const colorKey = ((color[0] << 24) | (color[1] << 16) | (color[2] << 8) | color[3]) >>> 0;
+
+        index = this.colorIndices.get(colorKey);
+        if (index === undefined) {
+            if (this.colors.length < MAX_VOX_COLORS) {
+                this.colors.push(color);
+                index = this.colors.length;
+                this.colorIndices.set(colorKey, index);
+            } else {
+                index = this.findNearest(color);
+            }
+        }
+
+        this.voxelIndices.set(voxelKey, index);
+        return index;
+    }
+
+    findNearest(color) {
+        let best = 1;
+        let bestDistance = Infinity;
+
+        this.colors.forEach((candidate, i) => {
+            let distance = 0;
+            for (let channel = 0; channel < 3; channel++) {
+                const delta = candidate[channel] - color[channel];
+                distance += delta * delta;
+            }
+            if (distance < bestDistance) {
+                bestDistance = distance;
+                best = i + 1;
+            }
+        });
+
+        return best;
+    }
+}
+
+// Export the world-space box from min to max (inclusive) as a .vox file.
+//   chunkManager - voxels are read through getVoxel / getVoxelData
+//   voxelTypes   - VoxelTypeManager supplying the palette colors
+//   options.face - face whose color represents a voxel (default 'top')
+// Returns an ArrayBuffer.
+export function exportVox(chunkManager, voxelTypes, min, max, { face = 'top' } = {}) {
+    const boxMin = [Math.min(min[0], max[0]), Math.min(min[1], max[1]), Math.min(min[2], max[2])].map(Math.floor);
+    const boxMax = [Math.max(min[0], max[0]), Math.max(min[1], max[1]), Math.max(min[2], max[2])].map(Math.floor);
+    const palette = new VoxPaletteBuilder(voxelTypes, face);
+    const models = [];
+
+    // Walk the box in model-sized blocks
+    for (let y0 = boxMin[1]; y0 <= boxMax[1]; y0 += MAX_VOX_MODEL_SIZE) {
+        for (let z0 = boxMin[2]; z0 <= boxMax[2]; z0 += MAX_VOX_MODEL_SIZE) {
+            for (let x0 = boxMin[0]; x0 <= boxMax[0]; x0 += MAX_VOX_MODEL_SIZE) {
+                const sizeX = Math.min(MAX_VOX_MODEL_SIZE, boxMax[0] - x0 + 1);
+                const sizeY = Math.min(MAX_VOX_MODEL_SIZE, boxMax[1] - y0 + 1);
+                const sizeZ = Math.min(MAX_VOX_MODEL_SIZE, boxMax[2] - z0 + 1);
+                const voxels = new VoxWriter();
+
+                for (let y = 0; y < sizeY; y++) {
+                    for (let z = 0; z < sizeZ; z++) {
+                        for (let x = 0; x < sizeX; x++) {
+                            const voxelType = chunkManager.getVoxel(x0 + x, y0 + y, z0 + z);
+                            if (voxelType === VoxelType.AIR) continue;
+
+                            const metadata = chunkManager.getVoxelData(x0 + x, y0 + y, z0 + z);
+                            voxels.byte(x);
+                            voxels.byte(sizeZ - 1 - z);
+                            voxels.byte(y);
+                            voxels.byte(palette.getIndex(voxelType, metadata));
+                        }
+                    }
+                }
+
+                // Model origin in vox space (world Z runs along -Y)
+                const origin = [x0 - boxMin[0], boxMax[2] - (z0 + sizeZ - 1), y0 - boxMin[1]];
+                models.push({ size: [sizeX, sizeZ, sizeY], origin, voxels });
+            }
+        }
+    }
+
+    // Empty blocks are dropped, but a file needs at least one model
+    let kept = models.filter(model => model.voxels.length > 0);
+    if (kept.length === 0) kept = [models[0]];
+
+    return writeVoxFile(kept, palette.colors);
+}
+
+function writeVoxFile(models, colors) {
+    const children = [];
+
+    // Geometry
+    for (const model of models) {
+        const sizeChunk = new VoxWriter();
+        sizeChunk.chunk('SIZE', w => model.size.forEach(v => w.int32(v)));
+        children.push(sizeChunk);
+
+        const xyziChunk = new VoxWriter(model.voxels.length + 16);
+        xyziChunk.chunk('XYZI', w => {
+            w.int32(model.voxels.length / 4);
+            w.append(model.voxels);
+        });
+        children.push(xyziChunk);
+    }
+
+    // Scene graph: root transform -> group -> one transform + shape per model.
+    // MagicaVoxel positions a model by its center.
+    const scene = new VoxWriter();
+    scene.chunk('nTRN', w => {
+        w.int32(0); w.dict({}); w.int32(1); w.int32(-1); w.int32(-1);
+        w.int32(1); w.dict({});
+    });
+    scene.chunk('nGRP', w => {
+        w.int32(1); w.dict({});
+        w.int32(models.length);
+        models.forEach((model, i) => w.int32(2 + i * 2));
+    });
+    models.forEach((model, i) => {
+        const center = model.origin.map((v, axis) => v + Math.floor(model.size[axis] / 2));
+        scene.chunk('nTRN', w => {
+            w.int32(2 + i * 2); w.dict({}); w.int32(3 + i * 2); w.int32(-1); w.int32(0);
+            w.int32(1); w.dict({ _t: center.join(' ') });
+        });
+        scene.chunk('nSHP', w => {
+            w.int32(3 + i * 2); w.dict({});
+            w.int32(1); w.int32(i); w.dict({});
+        });
+    });
+    children.push(scene);
+
+    // Palette: entry i holds color index i + 1; unused entries stay black
+    const paletteChunk = new VoxWriter();
+    paletteChunk.chunk('RGBA', w => {
+        for (let i = 0; i < 256; i++) {
+            const color = colors[i] || [0, 0, 0, 255];
+            color.forEach(channel => w.byte(channel));
+        }
+    });
+    children.push(paletteChunk);
+
+    const file = new VoxWriter();
+    file.id('VOX ');
+    file.int32(VOX_VERSION);
+    file.chunk('MAIN', () => {}, children);
+
+    return file.toArrayBuffer();
+}
+
+// MagicaVoxel's built-in palette, used when a file has no RGBA chunk:
+// a 6x6x6 color cube (blue varying fastest, black left out) followed by
+// red, green, blue and gray ramps of ten steps each
+function createDefaultVoxPalette() {
+    const levels = [0xFF, 0xCC, 0x99, 0x66, 0x33, 0x00];
+    const ramp = [0xEE, 0xDD, 0xBB, 0xAA, 0x88, 0x77, 0x55, 0x44, 0x22, 0x11];
+    const palette = [[0, 0, 0, 0]];
+
+    for (const r of levels) {
+        for (const g of levels) {
+            for (const b of levels) {
+                if (r === 0 && g === 0 && b === 0) continue;
+                palette.push([r, g, b, 255]);
+            }
+        }
+    }
+    for (const value of ramp) palette.push([value, 0, 0, 255]);
+    for (const value of ramp) palette.push([0, value, 0, 255]);
+    for (const value of ramp) palette.push([0, 0, value, 255]);
+    for (const value of ramp) palette.push([value, value, value, 255]);
+
+    return palette;
+}
+
+// Sequential little-endian reader over a chunk's content
+class VoxReader {
+    constructor(view, offset, end) {
+        this.view = view;
+        this.offset = offset;
+        this.end = end;
+    }
+
+    check(count) {
+        if (this.offset + count > this.end) {
+            throw new Error('.vox chunk content truncated');
+        }
+    }
+
+    int32() {
+        this.check(4);
+        const value = this.view.getInt32(this.offset, true);
+        this.offset += 4;
+        return value;
+    }
+
+    string() {
+        const length = this.int32();
+        this.check(length);
+        let text = '';
+        for (let i = 0; i < length; i++) {
+            text += String.fromCharCode(this.view.getUint8(this.offset + i));
+        }
+        this.offset += length;
+        return text;
+    }
+
+    dict() {
+        const entries = {};
+        const count = this.int32();
+        for (let i = 0; i < count; i++) {
+            const key = this.string();
+            entries[key] = this.string();
+        }
+        return entries;
+    }
+}
+
+// Parse a .vox file into
+//   { models: [{ size: [x, y, z], voxels: Uint8Array of x, y, z, colorIndex, offset: [x, y, z] }],
+//     palette: [r, g, b, a] bytes per color index (index 0 unused) }
+// Model offsets come from the scene graph translations (rotations are not
+// applied) and give the position of the model's minimum corner in vox space.
+export function parseVox(buffer) {
+    const view = new DataView(buffer);
+    const readId = offset => String.fromCharCode(
+        view.getUint8(offset), view.getUint8(offset + 1), view.getUint8(offset + 2), view.getUint8(offset + 3));
+
+    if (view.byteLength < 20 || readId(0) !== 'VOX ') {
+        throw new Error('Not a .vox file (bad magic)');
+    }
+    if (readId(8) !== 'MAIN') {
+        throw new Error('.vox file has no MAIN chunk');
+    }
+
+    const models = [];
+    const nodes = new Map();
+    let palette = null;
+    let pendingSize = null;
+
+    let offset = 20 + view.getInt32(12, true);
+    const end = Math.min(view.byteLength, 20 + view.getInt32(12, true) + view.getInt32(16, true));
+
+    while (offset + 12 <= end) {
+        const id = readId(offset);
+        const contentSize = view.getInt32(offset + 4, true);
+        const childrenSize = view.getInt32(offset + 8, true);
+        const contentStart = offset + 12;
+        const contentEnd = contentStart + contentSize;
+
+        if (contentSize < 0 || childrenSize < 0 || contentEnd > end) {
+            throw new Error(`.vox chunk ${id} extends past end of file`);
+        }
+
+        const reader = new VoxReader(view, contentStart, contentEnd);
+
+        switch (id) {
+            case 'SIZE':
+                pendingSize = [reader.int32(), reader.int32(), reader.int32()];
+                break;
+            case 'XYZI': {
+                if (!pendingSize) {
+                    throw new Error('.vox XYZI chunk without preceding SIZE chunk');
+                }
+                const count = reader.int32();
+                reader.check(count * 4);
+                models.push({
+                    size: pendingSize,
+                    voxels: new Uint8Array(buffer.slice(reader.offset, reader.offset + count * 4)),
+                    offset: [0, 0, 0]
+                });
+                pendingSize = null;
+                break;
+            }
+            case 'RGBA':
+                reader.check(256 * 4);
+                palette = [[0, 0, 0, 0]];
+                for (let i = 0; i < 255; i++) {
+                    const base = contentStart + i * 4;
+                    palette.push([view.getUint8(base), view.getUint8(base + 1), view.getUint8(base + 2), view.getUint8(base + 3)]);
+                }
+                break;
+            case 'nTRN': {
+                const nodeId = reader.int32();
+                reader.dict();
+                const child = reader.int32();
+                reader.int32(); // Reserved
+                reader.int32(); // Layer
+                const frameCount = reader.int32();
+                const frame = frameCount > 0 ? reader.dict() : {};
+                const translation = frame._t ? frame._t.split(' ').map(Number) : [0, 0, 0];
+                nodes.set(nodeId, { type: 'transform', children: [child], translation });
+                break;
+            }
+            case 'nGRP': {
+                const nodeId = reader.int32();
+                reader.dict();
+                const count = reader.int32();
+                const children = [];
+                for (let i = 0; i < count; i++) children.push(reader.int32());
+                nodes.set(nodeId, { type: 'group', children });
+                break;
+            }
+            case 'nSHP': {
+                const nodeId = reader.int32();
+                reader.dict();
+                const count = reader.int32();
+                const modelIds = [];
+                for (let i = 0; i < count; i++) {
+                    modelIds.push(reader.int32());
+                    reader.dict();
+                }
+                nodes.set(nodeId, { type: 'shape', children: [], modelIds });
+                break;
+            }
+        }
+
+        // MAIN's children are flat, so every chunk is followed by the next one
+        offset = contentEnd + childrenSize;
+    }
+
+    // Walk the scene graph, summing translations down to each shape.
+    // MagicaVoxel positions a model by its center.
+    const visit = (nodeId, translation, depth) => {
+        const node = nodes.get(nodeId);
+        if (!node || depth > 64) return;
+
+        const total = node.type === 'transform'
+            ? translation.map((v, axis) => v + node.translation[axis])
+            : translation;
+
+        if (node.type === 'shape') {
+            for (const modelId of node.modelIds) {
+                const model = models[modelId];
+                if (model) {
+                    model.offset = total.map((v, axis) => v - Math.floor(model.size[axis] / 2));
+                }
+            }
+        }
+        for (const child of node.children) {
+            visit(child, total, depth + 1);
+        }
+    };
+    visit(0, [0, 0, 0], 0);
+
+    return { models, palette: palette || createDefaultVoxPalette() };
+}
+
+// Resolves vox palette indices to voxel type ids
+class VoxColorMapper {
+    constructor(voxelTypes, palette, { mapping = null, registerUnknown = false, colorTolerance = 0, face = 'top' }) {
+        this.voxelTypes = voxelTypes;
+        this.palette = palette;
+        this.mapping = mapping;
+        this.registerUnknown = registerUnknown;
+        this.colorTolerance = colorTolerance;
+        this.typesByIndex = new Map();
+        this.registeredTypes = [];
+
+        // Registered colors to match against (in 0-255 RGB)
+        this.candidates = voxelTypes.getTypeIds()
+            .filter(id => id !== VoxelType.AIR)
+            .map(id => ({ id, color: voxelTypes.getColor(id, face).map(channel => Math.round(channel * 255)) }));
+    }
+
+    // Explicit table entries are keyed by palette index or '#rrggbb'
+    lookupMapping(index, color) {
+        if (!this.mapping) return undefined;
+
+        const hex = '#' + color.slice(0, 3).map(channel => channel.toString(16).padStart(2, '0')).join('');
+        const table = this.mapping instanceof Map ? this.mapping : new Map(Object.entries(this.mapping));
+        for (const key of [index, String(index), hex, hex.toUpperCase()]) {
+            if (table.has(key)) return table.get(key);
+        }
+        return undefined;
+    }
+
+    findNearest(color) {
+        let best = null;
+        let bestDistance = Infinity;
+
+        for (const candidate of this.candidates) {
+            let distance = 0;
+            for (let channel = 0; channel < 3; channel++) {
+                const delta = candidate.color[channel] - color[channel];
+                distance += delta * delta;
+            }
+            if (distance < bestDistance) {
+                bestDistance = distance;
+                best = candidate.id;
+            }
+        }
+
+        return { id: best, distance: Math.sqrt(bestDistance) };
+    }
+
+    getType(index) {
+        if (this.typesByIndex.has(index)) {
+            return this.typesByIndex.get(index);
+        }
+
+        const color = this.palette[index];
+        let typeId = this.lookupMapping(index, color);
+
+        if (typeId === undefined) {
+            const nearest = this.findNearest(color);
+            typeId = nearest.id;
+
+            // Colors too far from every registered type become new types
+            if (this.registerUnknown && (typeId === null || nearest.distance > this.colorTolerance)) {
+                const rgba = color.map(channel => channel / 255);
+                typeId = this.voxelTypes.registerColorType(`Vox color ${index}`, rgba);
+                this.candidates.push({ id: typeId, color: [...color] });
+                this.registeredTypes.push(typeId);
+            }
+        }
+
+        if (typeId === null) {
+            throw new Error(`No voxel type for .vox color index ${index}`);
+        }
+
+        this.typesByIndex.set(index, typeId);
+        return typeId;
+    }
+}
+
+// Place a .vox file into the world with the minimum corner of its models at
+// position. Colors map to voxel types through:
+//   options.mapping         - table of palette index or '#rrggbb' -> type id
+//   options.registerUnknown - register a new type for colors farther than
+//                             options.colorTolerance (0-255 RGB distance)
+//                             from every existing type; otherwise the
+//                             nearest registered color is used
+// Empty vox voxels leave the world untouched. Returns the number of voxels
+// written, the chunks touched and the ids of any newly registered types.
+export function importVox(chunkManager, voxelTypes, buffer, position, options = {}) {
+    const { models, palette } = parseVox(buffer);
+    const mapper = new VoxColorMapper(voxelTypes, palette, options);
+
+    // Bounding box of every model in vox space
+    const low = [Infinity, Infinity, Infinity];
+    const high = [-Infinity, -Infinity, -Infinity];
+    for (const model of models) {
+        for (let axis = 0; axis < 3; axis++) {
+            low[axis] = Math.min(low[axis], model.offset[axis]);
+            high[axis] = Math.max(high[axis], model.offset[axis] + model.size[axis] - 1);
+        }
+    }
+
+    // Vox X, Y, Z map to world X, -Z, Y (the inverse of exportVox)
+    const [baseX, baseY, baseZ] = position.map(Math.floor);
+    const voxels = [];
+
+    for (const model of models) {
+        const data = model.voxels;
+        for (let i = 0; i < data.length; i += 4) {
+            const voxX = model.offset[0] + data[i];
+            const voxY = model.offset[1] + data[i + 1];
+            const voxZ = model.offset[2] + data[i + 2];
+
+            voxels.push([
+                baseX + voxX - low[0],
+                baseY + voxZ - low[2],
+                baseZ + high[1] - voxY,
+                mapper.getType(data[i + 3])
+            ]);
+        }
+    }
+
+    const chunkCount = chunkManager.setVoxels(voxels);
+    debugLog(`Imported ${voxels.length} .vox voxels into ${chunkCount} chunks`);
+
+    return { voxelCount: voxels.length, chunkCount, registeredTypes: mapper.registeredTypes };
+}
\ No newline at end of file
@@ -1,16 +1,57 @@
-import { CHUNK_SIZE, DEBUG } from './constants.js';
+import { DEFAULT_WORLD_CONFIG, MAX_CHUNK_SIZE } from './constants.js';
 import { debugLog } from './math-utils.js';
+import { SHAPE_INSIDE, SHAPE_OUTSIDE, BoxShape, SphereShape } from './voxel-shapes.js';
+
+// Version of the binary chunk format written by Chunk.serialize()
+// (1 = voxel types only, 2 = voxel types plus per-voxel metadata)
+export const CHUNK_FORMAT_VERSION = 2;
+
+// Largest value the per-voxel metadata channel can hold (16 bits)
+export const MAX_VOXEL_METADATA = 0xFFFF;
+
+// Header: version (u8), log2 chunk size (u8), node count (u32), leaf count (u32)
+const CHUNK_HEADER_SIZE = 10;
+
+// Binary patch entry: x, y, z, log2 size (u8 each), voxel type, metadata (u16 each)
+const PATCH_ENTRY_SIZE = 8;
+
+// Largest log2 size either format may store (chunk edge or patch cube edge)
+const MAX_SIZE_LOG2 = Math.log2(MAX_CHUNK_SIZE);
+
+// Rough heap cost of one OctreeNode including its share of a children array
+const OCTREE_NODE_BYTES = 64;
+
+// Chunks sharing octree nodes (see Chunk.clone) tag the nodes they may modify
+// in place with an owner id; any other node is copied before it is written.
+let nextOwnerId = 1;
 
 // Octree node for efficient voxel storage
 class OctreeNode {
-    constructor(x, y, z, size) {
+    constructor(x, y, z, size, owner = 0) {
         this.x = x;
         this.y = y;
         this.z = z;
         this.size = size;
         this.children = null;
         this.voxelType = 0; // 0 = air/empty
+        this.metadata = 0; // Orientation, fluid level, growth stage, ...
         this.isLeaf = true;
+        this.owner = owner;
+    }
+
+    // Return a node the given owner may modify: this node if it already owns
+    // it, otherwise a shallow copy whose children are still shared
+    writable(owner) {
+        if (this.owner === owner) {
+            return this;
+        }
+
+        const copy = new OctreeNode(this.x, this.y, this.z, this.size, owner);
+        copy.voxelType = this.voxelType;
+        copy.metadata = this.metadata;
+        copy.isLeaf = this.isLeaf;
+        copy.children = this.children ? this.children.slice() : null;
+        return copy;
     }
 
     // Split this node into 8 children
@@ -25,8 +66,9 @@ class OctreeNode {
                 const childY = this.y + (i & 2 ? halfSize : 0);
                 const childZ = this.z + (i & 4 ? halfSize : 0);
 
-                const child = new OctreeNode(childX, childY, childZ, halfSize);
+                const child = new OctreeNode(childX, childY, childZ, halfSize, this.owner);
                 child.voxelType = this.voxelType; // Inherit parent's type
+                child.metadata = this.metadata;
                 this.children.push(child);
             }
 
@@ -34,14 +76,16 @@ class OctreeNode {
         }
     }
 
-    // Try to merge children if they all have the same voxel type
+    // Try to merge children if they all have the same voxel type and metadata
     tryMerge() {
         if (!this.isLeaf && this.children) {
             const firstType = this.children[0].voxelType;
+            const firstMetadata = this.children[0].metadata;
             let allSame = true;
 
             for (let i = 0; i < 8; i++) {
-                if (!this.children[i].isLeaf || this.children[i].voxelType !== firstType) {
+                const child = this.children[i];
+                if (!child.isLeaf || child.voxelType !== firstType || child.metadata !== firstMetadata) {
                     allSame = false;
                     break;
                 }
@@ -49,6 +93,7 @@ class OctreeNode {
 
             if (allSame) {
                 this.voxelType = firstType;
+                this.metadata = firstMetadata;
                 this.children = null;
                 this.isLeaf = true;
                 return true;
@@ -57,50 +102,117 @@ class OctreeNode {
         return false;
     }
 
-    // Get the voxel type at a specific position
-    get(x, y, z) {
-        // If this is a leaf node, return its type
-        if (this.isLeaf) {
-            return this.voxelType;
+    // Get the leaf node containing a specific position
+    getLeaf(x, y, z) {
+        let node = this;
+
+        while (!node.isLeaf) {
+            const halfSize = node.size / 2;
+            const childIndex = ((x >= node.x + halfSize) ? 1 : 0) +
+                ((y >= node.y + halfSize) ? 2 : 0) +
+                ((z >= node.z + halfSize) ? 4 : 0);
+            node = node.children[childIndex];
         }
 
-        // Otherwise, find which child contains the position
-        const halfSize = this.size / 2;
-        const childIndex = ((x >= this.x + halfSize) ? 1 : 0) +
-            ((y >= this.y + halfSize) ? 2 : 0) +
-            ((z >= this.z + halfSize) ? 4 : 0);
+        return node;
+    }
 
-        return this.children[childIndex].get(x, y, z);
+    // Get the voxel type at a specific position
+    get(x, y, z) {
+        return this.getLeaf(x, y, z).voxelType;
     }
 
-    // Set the voxel type at a specific position
-    set(x, y, z, voxelType) {
+    // Set the voxel type and metadata at a specific position.
+    // Returns the node to store in place of this one: this node if the owner
+    // could modify it in place, a copy if it was shared with a snapshot.
+    set(x, y, z, voxelType, metadata, owner) {
+        // No need to split if setting to the same value
+        if (this.isLeaf && this.voxelType === voxelType && this.metadata === metadata) {
+            return this;
+        }
+
+        const node = this.writable(owner);
+
         // Base case: we're at a leaf node of size 1 (single voxel)
-        if (this.size === 1) {
-            this.voxelType = voxelType;
-            return;
+        if (node.size === 1) {
+            node.voxelType = voxelType;
+            node.metadata = metadata;
+            return node;
         }
 
         // If this is a leaf but size > 1, we need to split it
-        if (this.isLeaf) {
-            // No need to split if setting to the same type
-            if (this.voxelType === voxelType) {
-                return;
-            }
-            this.split();
+        if (node.isLeaf) {
+            node.split();
         }
 
         // Find which child contains the position
-        const halfSize = this.size / 2;
-        const childIndex = ((x >= this.x + halfSize) ? 1 : 0) +
-            ((y >= this.y + halfSize) ? 2 : 0) +
-            ((z >= this.z + halfSize) ? 4 : 0);
+        const halfSize = node.size / 2;
+        const childIndex = ((x >= node.x + halfSize) ? 1 : 0) +
+            ((y >= node.y + halfSize) ? 2 : 0) +
+            ((z >= node.z + halfSize) ? 4 : 0);
 
         // Recursively set in the child
-        this.children[childIndex].set(x, y, z, voxelType);
+        node.children[childIndex] = node.children[childIndex].set(x, y, z, voxelType, metadata, owner);
 
         // Try to merge children if possible
-        this.tryMerge();
+        node.tryMerge();
+        return node;
+    }
+
+    // Fill every voxel covered by a shape. Nodes fully inside the shape are
+    // replaced as a whole subtree; only partially covered nodes are split.
+    // Returns the node to store in place of this one, or null if nothing changed.
+    fill(shape, voxelType, metadata, owner) {
+        const coverage = shape.classify(this.x, this.y, this.z, this.size);
+        if (coverage === SHAPE_OUTSIDE) {
+            return null;
+        }
+
+        if (this.isLeaf && this.voxelType === voxelType && this.metadata === metadata) {
+            return null;
+        }
+
+        if (coverage === SHAPE_INSIDE) {
+            const leaf = new OctreeNode(this.x, this.y, this.z, this.size, owner);
+            leaf.voxelType = voxelType;
+            leaf.metadata = metadata;
+            return leaf;
+        }
+
+        // Partially covered: only possible for size > 1
+        const node = this.writable(owner);
+        if (node.isLeaf) {
+            node.split();
+        }
+
+        let changed = this.isLeaf;
+        for (let i = 0; i < 8; i++) {
+            const child = node.children[i].fill(shape, voxelType, metadata, owner);
+            if (child) {
+                node.children[i] = child;
+                changed = true;
+            }
+        }
+
+        if (!changed) {
+            return null;
+        }
+
+        node.tryMerge();
+        return node;
+    }
+
+    // Count non-air voxels below this node
+    countNonEmpty() {
+        if (this.isLeaf) {
+            return this.voxelType !== 0 ? this.size * this.size * this.size : 0;
+        }
+
+        let count = 0;
+        for (let i = 0; i < 8; i++) {
+            count += this.children[i].countNonEmpty();
+        }
+        return count;
     }
 
     // Check if the node contains any non-air voxels
@@ -121,28 +233,52 @@ class OctreeNode {
 }
 
 export class Chunk {
-    constructor() {
+    constructor(size = DEFAULT_WORLD_CONFIG.chunkSize) {
         // Create the root octree node for this chunk
-        this.rootNode = new OctreeNode(0, 0, 0, CHUNK_SIZE);
+        this.size = size;
+        this.owner = nextOwnerId++;
+        this.rootNode = new OctreeNode(0, 0, 0, size, this.owner);
         this.modified = true;
         this.nonEmptyVoxelCount = 0;
     }
 
+    get storageType() {
+        return 'octree';
+    }
+
     getVoxel(x, y, z) {
-        if (x < 0 || x >= CHUNK_SIZE || y < 0 || y >= CHUNK_SIZE || z < 0 || z >= CHUNK_SIZE) {
+        if (x < 0 || x >= this.size || y < 0 || y >= this.size || z < 0 || z >= this.size) {
             return 0; // Out of bounds
         }
         return this.rootNode.get(x, y, z);
     }
 
-    setVoxel(x, y, z, voxelType) {
-        if (x < 0 || x >= CHUNK_SIZE || y < 0 || y >= CHUNK_SIZE || z < 0 || z >= CHUNK_SIZE) {
+    // Get the octree leaf containing a position (its x, y, z, size, voxelType and metadata)
+    getLeaf(x, y, z) {
+        if (x < 0 || x >= this.size || y < 0 || y >= this.size || z < 0 || z >= this.size) {
+            return null; // Out of bounds
+        }
+        return this.rootNode.getLeaf(x, y, z);
+    }
+
+    // Get the metadata channel at a position
+    getVoxelData(x, y, z) {
+        if (x < 0 || x >= this.size || y < 0 || y >= this.size || z < 0 || z >= this.size) {
+            return 0; // Out of bounds
+        }
+        return this.rootNode.getLeaf(x, y, z).metadata;
+    }
+
+    // Set the voxel type; metadata is reset unless given
+    setVoxel(x, y, z, voxelType, metadata = 0) {
+        if (x < 0 || x >= this.size || y < 0 || y >= this.size || z < 0 || z >= this.size) {
             return; // Out of bounds
         }
 
-        const oldVoxelType = this.getVoxel(x, y, z);
-        if (oldVoxelType !== voxelType) {
-            this.rootNode.set(x, y, z, voxelType);
+        const leaf = this.rootNode.getLeaf(x, y, z);
+        const oldVoxelType = leaf.voxelType;
+        if (oldVoxelType !== voxelType || leaf.metadata !== metadata) {
+            this.rootNode = this.rootNode.set(x, y, z, voxelType, metadata, this.owner);
             this.modified = true;
 
             // Update non-empty voxel count
@@ -154,6 +290,164 @@ export class Chunk {
         }
     }
 
+    // Set the metadata channel at a position, keeping the voxel type
+    setVoxelData(x, y, z, metadata) {
+        this.setVoxel(x, y, z, this.getVoxel(x, y, z), metadata);
+    }
+
+    // Fill a shape (see voxel-shapes.js) in local coordinates; returns true if anything changed
+    fillShape(shape, voxelType, metadata = 0) {
+        const rootNode = this.rootNode.fill(shape, voxelType, metadata, this.owner);
+        if (!rootNode) {
+            return false;
+        }
+
+        this.rootNode = rootNode;
+        this.nonEmptyVoxelCount = this.rootNode.countNonEmpty();
+        this.modified = true;
+        return true;
+    }
+
+    // Fill the box between min and max (inclusive, local coordinates)
+    fillBox(min, max, voxelType, metadata = 0) {
+        return this.fillShape(new BoxShape(min, max), voxelType, metadata);
+    }
+
+    // Fill every voxel within radius of center (local coordinates)
+    fillSphere(center, radius, voxelType, metadata = 0) {
+        return this.fillShape(new SphereShape(center, radius), voxelType, metadata);
+    }
+
+    // List the changes that turn this chunk into another one. The two octrees
+    // are compared node by node; identical subtrees (including ones shared
+    // through clone()) are skipped. Each entry assigns a whole aligned cube:
+    // { x, y, z, size, voxelType, metadata }.
+    diff(otherChunk) {
+        if (otherChunk.size !== this.size) {
+            throw new Error(`Cannot diff chunks of different sizes (${this.size} and ${otherChunk.size})`);
+        }
+
+        const other = otherChunk.rootNode
+            ? otherChunk
+            : Chunk.fromArray(otherChunk.toArray(), otherChunk.toMetadataArray());
+        const patch = [];
+
+        function diffRecursive(node, otherNode) {
+            if (node === otherNode) {
+                return; // Shared subtree
+            }
+
+            if (otherNode.isLeaf) {
+                if (!node.isLeaf || node.voxelType !== otherNode.voxelType || node.metadata !== otherNode.metadata) {
+                    patch.push({
+                        x: otherNode.x,
+                        y: otherNode.y,
+                        z: otherNode.z,
+                        size: otherNode.size,
+                        voxelType: otherNode.voxelType,
+                        metadata: otherNode.metadata
+                    });
+                }
+                return;
+            }
+
+            // A leaf on this side covers every child of the other side
+            for (let i = 0; i < 8; i++) {
+                diffRecursive(node.isLeaf ? node : node.children[i], otherNode.children[i]);
+            }
+        }
+
+        diffRecursive(this.rootNode, other.rootNode);
+        return patch;
+    }
+
+    // Apply a patch produced by diff(); returns true if anything changed
+    applyPatch(patch) {
+        let changed = false;
+
+        for (const entry of patch) {
+            const shape = new BoxShape(
+                [entry.x, entry.y, entry.z],
+                [entry.x + entry.size - 1, entry.y + entry.size - 1, entry.z + entry.size - 1]
+            );
+            const rootNode = this.rootNode.fill(shape, entry.voxelType, entry.metadata, this.owner);
+            if (rootNode) {
+                this.rootNode = rootNode;
+                changed = true;
+            }
+        }
+
+        if (changed) {
+            this.nonEmptyVoxelCount = this.rootNode.countNonEmpty();
+            this.modified = true;
+        }
+
+        return changed;
+    }
+
+    // Encode a patch as 8 bytes per entry
+    static serializePatch(patch) {
+        const buffer = new ArrayBuffer(patch.length * PATCH_ENTRY_SIZE);
+        const view = new DataView(buffer);
+
+        patch.forEach((entry, i) => {
+            const offset = i * PATCH_ENTRY_SIZE;
+            view.setUint8(offset, entry.x);
+            view.setUint8(offset + 1, entry.y);
+            view.setUint8(offset + 2, entry.z);
+            view.setUint8(offset + 3, Math.log2(entry.size));
+            view.setUint16(offset + 4, entry.voxelType, true);
+            view.setUint16(offset + 6, entry.metadata, true);
+        });
+
+        return buffer;
+    }
+
+    static deserializePatch(data) {
+        const bytes = ArrayBuffer.isView(data)
+            ? new Uint8Array(data.buffer, data.byteOffset, data.byteLength)
+            : new Uint8Array(data);
+        if (bytes.length % PATCH_ENTRY_SIZE !== 0) {
+            throw new Error(`Chunk patch truncated: ${bytes.length} bytes is not a multiple of ${PATCH_ENTRY_SIZE}`);
+        }
+
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const patch = [];
+
+        for (let offset = 0; offset < bytes.length; offset += PATCH_ENTRY_SIZE) {
+            const sizeLog2 = view.getUint8(offset + 3);
+            if (sizeLog2 > MAX_SIZE_LOG2) {
+                throw new Error(`Corrupt chunk patch: log2 size ${sizeLog2} exceeds ${MAX_SIZE_LOG2}`);
+            }
+
+            patch.push({
+                x: view.getUint8(offset),
+                y: view.getUint8(offset + 1),
+                z: view.getUint8(offset + 2),
+                size: 1 << sizeLog2,
+                voxelType: view.getUint16(offset + 4, true),
+                metadata: view.getUint16(offset + 6, true)
+            });
+        }
+
+        return patch;
+    }
+
+    // Snapshot this chunk. The octree is shared, not copied: both chunks copy
+    // a node only when they first write to it, so unchanged subtrees stay
+    // shared and the snapshot never sees later edits.
+    clone() {
+        const copy = new Chunk(this.size);
+        copy.rootNode = this.rootNode;
+        copy.modified = this.modified;
+        copy.nonEmptyVoxelCount = this.nonEmptyVoxelCount;
+
+        // Existing nodes now belong to neither chunk, so this chunk must copy them too
+        this.owner = nextOwnerId++;
+
+        return copy;
+    }
+
     isEmpty() {
         return this.rootNode.isEmpty();
     }
@@ -175,12 +469,203 @@ export class Chunk {
         return count;
     }
 
+    // Estimated heap usage in bytes
+    getMemoryUsage() {
+        return this.countNodes() * OCTREE_NODE_BYTES;
+    }
+
+    // Export one channel as a flat array indexed by (y * size * size) + (z * size) + x
+    exportChannel(channel) {
+        const size = this.size;
+        const values = new Uint16Array(size * size * size);
+
+        this.rootNode.visitLeaves((node) => {
+            const value = node[channel];
+            if (value === 0) return;
+
+            for (let y = node.y; y < node.y + node.size; y++) {
+                for (let z = node.z; z < node.z + node.size; z++) {
+                    const rowStart = (y * size * size) + (z * size);
+                    values.fill(value, rowStart + node.x, rowStart + node.x + node.size);
+                }
+            }
+        });
+
+        return values;
+    }
+
+    toArray() {
+        return this.exportChannel('voxelType');
+    }
+
+    toMetadataArray() {
+        return this.exportChannel('metadata');
+    }
+
+    // Build an octree bottom-up from flat arrays (same layout as toArray)
+    static fromArray(voxelData, metadata = null) {
+        const size = Math.round(Math.cbrt(voxelData.length));
+        const chunk = new Chunk(size);
+
+        function buildRecursive(node) {
+            if (node.size === 1) {
+                const index = (node.y * size * size) + (node.z * size) + node.x;
+                node.voxelType = voxelData[index];
+                node.metadata = metadata ? metadata[index] : 0;
+            } else {
+                node.split();
+                for (let i = 0; i < 8; i++) {
+                    buildRecursive(node.children[i]);
+                }
+                node.tryMerge();
+            }
+        }
+
+        buildRecursive(chunk.rootNode);
+
+        for (let i = 0; i < voxelData.length; i++) {
+            if (voxelData[i] !== 0) chunk.nonEmptyVoxelCount++;
+        }
+
+        return chunk;
+    }
+
+    // Encode the octree as a compact binary buffer.
+    // Layout (little endian): header, then one bit per node in depth-first
+    // order (1 = branch, 0 = leaf), then a u16 voxel type and u16 metadata per leaf.
+    serialize() {
+        const structure = [];
+        const leaves = [];
+
+        function encodeRecursive(node) {
+            if (node.isLeaf) {
+                structure.push(0);
+                leaves.push(node);
+            } else {
+                structure.push(1);
+                for (let i = 0; i < 8; i++) {
+                    encodeRecursive(node.children[i]);
+                }
+            }
+        }
+
+        encodeRecursive(this.rootNode);
+
+        const bitBytes = Math.ceil(structure.length / 8);
+        const buffer = new ArrayBuffer(CHUNK_HEADER_SIZE + bitBytes + leaves.length * 4);
+        const view = new DataView(buffer);
+
+        view.setUint8(0, CHUNK_FORMAT_VERSION);
+        view.setUint8(1, Math.log2(this.rootNode.size));
+        view.setUint32(2, structure.length, true);
+        view.setUint32(6, leaves.length, true);
+
+        const bits = new Uint8Array(buffer, CHUNK_HEADER_SIZE, bitBytes);
+        for (let i = 0; i < structure.length; i++) {
+            if (structure[i]) {
+                bits[i >> 3] |= 1 << (i & 7);
+            }
+        }
+
+        let offset = CHUNK_HEADER_SIZE + bitBytes;
+        for (const leaf of leaves) {
+            view.setUint16(offset, leaf.voxelType, true);
+            view.setUint16(offset + 2, leaf.metadata, true);
+            offset += 4;
+        }
+
+        return buffer;
+    }
+
+    // Rebuild a chunk from the output of serialize().
+    // Version 1 data (no metadata) is still accepted.
+    static deserialize(data) {
+        const bytes = ArrayBuffer.isView(data)
+            ? new Uint8Array(data.buffer, data.byteOffset, data.byteLength)
+            : new Uint8Array(data);
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+        if (bytes.length < CHUNK_HEADER_SIZE) {
+            throw new Error(`Chunk data truncated: header needs ${CHUNK_HEADER_SIZE} bytes, got ${bytes.length}`);
+        }
+
+        const version = view.getUint8(0);
+        if (version !== 1 && version !== CHUNK_FORMAT_VERSION) {
+            throw new Error(`Unsupported chunk format version ${version} (expected ${CHUNK_FORMAT_VERSION})`);
+        }
+
+        // Check the stored exponent itself; shifting by 31 or more wraps to a
+        // size that would slip past a check on the result
+        const sizeLog2 = view.getUint8(1);
+        if (sizeLog2 > MAX_SIZE_LOG2) {
+            throw new Error(`Corrupt chunk data: log2 chunk size ${sizeLog2} exceeds ${MAX_SIZE_LOG2}`);
+        }
+        const size = 1 << sizeLog2;
+
+        const nodeCount = view.getUint32(2, true);
+        const leafCount = view.getUint32(6, true);
+        const bitBytes = Math.ceil(nodeCount / 8);
+        const leafStride = version === 1 ? 2 : 4;
+        const expectedLength = CHUNK_HEADER_SIZE + bitBytes + leafCount * leafStride;
+        if (bytes.length < expectedLength) {
+            throw new Error(`Chunk data truncated: expected ${expectedLength} bytes, got ${bytes.length}`);
+        }
+
+        const chunk = new Chunk(size);
+        let nodeIndex = 0;
+        let leafIndex = 0;
+        let leafOffset = CHUNK_HEADER_SIZE + bitBytes;
+
+        function decodeRecursive(node) {
+            if (nodeIndex >= nodeCount) {
+                throw new Error('Corrupt chunk data: node bitstream ended early');
+            }
+
+            const isBranch = (bytes[CHUNK_HEADER_SIZE + (nodeIndex >> 3)] >> (nodeIndex & 7)) & 1;
+            nodeIndex++;
+
+            if (isBranch) {
+                if (node.size === 1) {
+                    throw new Error('Corrupt chunk data: single voxel marked as branch');
+                }
+                node.split();
+                for (let i = 0; i < 8; i++) {
+                    decodeRecursive(node.children[i]);
+                }
+                return;
+            }
+
+            if (leafIndex >= leafCount) {
+                throw new Error('Corrupt chunk data: more leaves than voxel types');
+            }
+
+            node.voxelType = view.getUint16(leafOffset, true);
+            node.metadata = version === 1 ? 0 : view.getUint16(leafOffset + 2, true);
+            leafOffset += leafStride;
+            leafIndex++;
+
+            if (node.voxelType !== 0) {
+                chunk.nonEmptyVoxelCount += node.size * node.size * node.size;
+            }
+        }
+
+        decodeRecursive(chunk.rootNode);
+
+        if (nodeIndex !== nodeCount || leafIndex !== leafCount) {
+            throw new Error(`Corrupt chunk data: decoded ${nodeIndex}/${nodeCount} nodes and ${leafIndex}/${leafCount} leaves`);
+        }
+
+        chunk.modified = true;
+        return chunk;
+    }
+
     // Fill with array data (for compatibility)
     fillFromArray(voxelData) {
-        for (let y = 0; y < CHUNK_SIZE; y++) {
-            for (let z = 0; z < CHUNK_SIZE; z++) {
-                for (let x = 0; x < CHUNK_SIZE; x++) {
-                    const index = (y * CHUNK_SIZE * CHUNK_SIZE) + (z * CHUNK_SIZE) + x;
+        const size = this.size;
+        for (let y = 0; y < size; y++) {
+            for (let z = 0; z < size; z++) {
+                for (let x = 0; x < size; x++) {
+                    const index = (y * size * size) + (z * size) + x;
                     const voxelType = voxelData[index];
                     if (voxelType !== 0) {
                         this.setVoxel(x, y, z, voxelType);
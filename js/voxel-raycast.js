@@ -0,0 +1,104 @@
+// Mesher face names for the faces a ray can enter a voxel through, indexed by
+// axis * 2 + (1 if the face points towards +axis)
+export const FACE_NAMES = ['left', 'right', 'bottom', 'top', 'back', 'front'];
+
+// Face name for an axis-aligned unit normal, or null for a zero normal
+export function getFaceName(normal) {
+    for (let axis = 0; axis < 3; axis++) {
+        if (normal[axis] !== 0) {
+            return FACE_NAMES[axis * 2 + (normal[axis] > 0 ? 1 : 0)];
+        }
+    }
+    return null;
+}
+
+// Walk a ray through one chunk, leaf by leaf. Empty leaves of any size are
+// skipped in a single step, so large air regions cost one iteration.
+//   origin     - ray origin in chunk-local coordinates
+//   direction  - normalized ray direction
+//   tStart     - distance at which the ray enters the chunk
+//   tEnd       - distance at which to give up (chunk exit or max distance)
+//   entryAxis  - axis of the chunk face the ray entered through (-1 if it started inside)
+// Returns { position, voxelType, metadata, normal, face, point, distance } in
+// local coordinates, or null if nothing solid was hit. face is null (and the
+// normal zero) when the ray starts inside the voxel it hits.
+export function raycastChunk(chunk, origin, direction, tStart, tEnd, entryAxis = -1) {
+    const size = chunk.size;
+    let t = tStart;
+    const cell = [0, 0, 0];
+    const normal = [0, 0, 0];
+
+    // Find the first cell. On the entry axis the point lies exactly on the
+    // chunk face, so pick the cell on the inside of that face.
+    for (let axis = 0; axis < 3; axis++) {
+        if (axis === entryAxis) {
+            cell[axis] = direction[axis] > 0 ? 0 : size - 1;
+            normal[axis] = direction[axis] > 0 ? -1 : 1;
+        } else {
+            const p = origin[axis] + direction[axis] * t;
+            cell[axis] = Math.max(0, Math.min(size - 1, Math.floor(p)));
+        }
+    }
+
+    while (cell[0] >= 0 && cell[0] < size &&
+           cell[1] >= 0 && cell[1] < size &&
+           cell[2] >= 0 && cell[2] < size) {
+        const leaf = chunk.getLeaf(cell[0], cell[1], cell[2]);
+
+        if (leaf.voxelType !== 0) {
+            return {
+                position: [...cell],
+                voxelType: leaf.voxelType,
+                metadata: leaf.metadata,
+                normal: [...normal],
+                face: getFaceName(normal),
+                point: [
+                    origin[0] + direction[0] * t,
+                    origin[1] + direction[1] * t,
+                    origin[2] + direction[2] * t
+                ],
+                distance: t
+            };
+        }
+
+        // Find where the ray leaves this leaf
+        const leafMin = [leaf.x, leaf.y, leaf.z];
+        let exitT = Infinity;
+        let exitAxis = -1;
+
+        for (let axis = 0; axis < 3; axis++) {
+            let axisT = Infinity;
+            if (direction[axis] > 0) {
+                axisT = (leafMin[axis] + leaf.size - origin[axis]) / direction[axis];
+            } else if (direction[axis] < 0) {
+                axisT = (leafMin[axis] - origin[axis]) / direction[axis];
+            }
+
+            if (axisT < exitT) {
+                exitT = axisT;
+                exitAxis = axis;
+            }
+        }
+
+        if (exitAxis === -1 || exitT > tEnd) {
+            return null;
+        }
+
+        t = Math.max(t, exitT);
+
+        // Step into the neighbouring cell across the exit face. The other
+        // axes stay clamped to the leaf so rounding cannot skip a cell.
+        for (let axis = 0; axis < 3; axis++) {
+            normal[axis] = 0;
+            if (axis === exitAxis) {
+                cell[axis] = direction[axis] > 0 ? leafMin[axis] + leaf.size : leafMin[axis] - 1;
+                normal[axis] = direction[axis] > 0 ? -1 : 1;
+            } else {
+                const p = origin[axis] + direction[axis] * t;
+                cell[axis] = Math.max(leafMin[axis], Math.min(leafMin[axis] + leaf.size - 1, Math.floor(p)));
+            }
+        }
+    }
+
+    return null;
+}
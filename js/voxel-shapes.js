@@ -0,0 +1,184 @@
+// Shapes used by region edits. A shape classifies a cube of voxels
+// (x, y, z, size) as fully inside, fully outside or partially covered,
+// so octree fills can assign whole subtrees and only descend at the edges.
+// Coordinates are voxel indices; bounds are inclusive.
+
+export const SHAPE_OUTSIDE = 0;
+export const SHAPE_INSIDE = 1;
+export const SHAPE_PARTIAL = 2;
+
+// Axis-aligned box from min to max (inclusive)
+export class BoxShape {
+    constructor(min, max) {
+        this.min = [Math.min(min[0], max[0]), Math.min(min[1], max[1]), Math.min(min[2], max[2])];
+        this.max = [Math.max(min[0], max[0]), Math.max(min[1], max[1]), Math.max(min[2], max[2])];
+    }
+
+    get bounds() {
+        return { min: this.min, max: this.max };
+    }
+
+    classify(x, y, z, size) {
+        const cubeMin = [x, y, z];
+        let inside = true;
+
+        for (let axis = 0; axis < 3; axis++) {
+            const cubeMax = cubeMin[axis] + size - 1;
+            if (cubeMax < this.min[axis] || cubeMin[axis] > this.max[axis]) {
+                return SHAPE_OUTSIDE;
+            }
+            if (cubeMin[axis] < this.min[axis] || cubeMax > this.max[axis]) {
+                inside = false;
+            }
+        }
+
+        return inside ? SHAPE_INSIDE : SHAPE_PARTIAL;
+    }
+
+    translated(dx, dy, dz) {
+        return new BoxShape(
+            [this.min[0] + dx, this.min[1] + dy, this.min[2] + dz],
+            [this.max[0] + dx, this.max[1] + dy, this.max[2] + dz]
+        );
+    }
+}
+
+// Voxels whose index lies within radius of the center (same test as the crater tool)
+export class SphereShape {
+    constructor(center, radius) {
+        this.center = [...center];
+        this.radius = radius;
+    }
+
+    get bounds() {
+        const [cx, cy, cz] = this.center;
+        const r = this.radius;
+        return {
+            min: [Math.ceil(cx - r), Math.ceil(cy - r), Math.ceil(cz - r)],
+            max: [Math.floor(cx + r), Math.floor(cy + r), Math.floor(cz + r)]
+        };
+    }
+
+    classify(x, y, z, size) {
+        const cubeMin = [x, y, z];
+        let nearestSquared = 0;
+        let farthestSquared = 0;
+
+        for (let axis = 0; axis < 3; axis++) {
+            const c = this.center[axis];
+            const low = cubeMin[axis];
+            const high = low + size - 1;
+
+            const nearest = Math.max(low, Math.min(c, high)) - c;
+            const farthest = Math.max(Math.abs(c - low), Math.abs(c - high));
+            nearestSquared += nearest * nearest;
+            farthestSquared += farthest * farthest;
+        }
+
+        const radiusSquared = this.radius * this.radius;
+        if (nearestSquared > radiusSquared) return SHAPE_OUTSIDE;
+        if (farthestSquared <= radiusSquared) return SHAPE_INSIDE;
+        return SHAPE_PARTIAL;
+    }
+
+    translated(dx, dy, dz) {
+        return new SphereShape([this.center[0] + dx, this.center[1] + dy, this.center[2] + dz], this.radius);
+    }
+}
+
+// Vertical cylinder: voxels within radius of the axis through center (on X/Z)
+// and within halfHeight of the center on Y
+export class CylinderShape {
+    constructor(center, radius, halfHeight = radius) {
+        this.center = [...center];
+        this.radius = radius;
+        this.halfHeight = halfHeight;
+    }
+
+    get bounds() {
+        const [cx, cy, cz] = this.center;
+        const r = this.radius;
+        const h = this.halfHeight;
+        return {
+            min: [Math.ceil(cx - r), Math.ceil(cy - h), Math.ceil(cz - r)],
+            max: [Math.floor(cx + r), Math.floor(cy + h), Math.floor(cz + r)]
+        };
+    }
+
+    classify(x, y, z, size) {
+        const cy = this.center[1];
+        if (y + size - 1 < cy - this.halfHeight || y > cy + this.halfHeight) return SHAPE_OUTSIDE;
+
+        const { nearestSquared, farthestSquared } = radialRange(this.center, x, z, size);
+        const radiusSquared = this.radius * this.radius;
+        if (nearestSquared > radiusSquared) return SHAPE_OUTSIDE;
+
+        const verticalInside = y >= cy - this.halfHeight && y + size - 1 <= cy + this.halfHeight;
+        if (verticalInside && farthestSquared <= radiusSquared) return SHAPE_INSIDE;
+        return SHAPE_PARTIAL;
+    }
+
+    translated(dx, dy, dz) {
+        return new CylinderShape([this.center[0] + dx, this.center[1] + dy, this.center[2] + dz], this.radius, this.halfHeight);
+    }
+}
+
+// Upright cone with its base (of the given radius) halfHeight below the
+// center and its tip halfHeight above it
+export class ConeShape {
+    constructor(center, radius, halfHeight = radius) {
+        this.center = [...center];
+        this.radius = radius;
+        this.halfHeight = halfHeight;
+    }
+
+    get bounds() {
+        return new CylinderShape(this.center, this.radius, this.halfHeight).bounds;
+    }
+
+    // Radius of the cone's cross-section at height y
+    radiusAt(y) {
+        const t = (y - (this.center[1] - this.halfHeight)) / (2 * this.halfHeight);
+        return this.radius * (1 - t);
+    }
+
+    classify(x, y, z, size) {
+        const cy = this.center[1];
+        const low = y;
+        const high = y + size - 1;
+        if (high < cy - this.halfHeight || low > cy + this.halfHeight) return SHAPE_OUTSIDE;
+
+        // The cross-section is widest at the lowest row inside the cone and
+        // narrowest at the highest row of the cube
+        const widest = this.radiusAt(Math.max(low, cy - this.halfHeight));
+        const narrowest = this.radiusAt(high);
+
+        const { nearestSquared, farthestSquared } = radialRange(this.center, x, z, size);
+        if (widest < 0 || nearestSquared > widest * widest) return SHAPE_OUTSIDE;
+
+        const verticalInside = low >= cy - this.halfHeight && high <= cy + this.halfHeight;
+        if (verticalInside && narrowest >= 0 && farthestSquared <= narrowest * narrowest) return SHAPE_INSIDE;
+        return SHAPE_PARTIAL;
+    }
+
+    translated(dx, dy, dz) {
+        return new ConeShape([this.center[0] + dx, this.center[1] + dy, this.center[2] + dz], this.radius, this.halfHeight);
+    }
+}
+
+// Squared horizontal distances from a center's vertical axis to the nearest
+// and farthest voxel of the cube column at x, z
+function radialRange(center, x, z, size) {
+    let nearestSquared = 0;
+    let farthestSquared = 0;
+
+    for (const [c, low] of [[center[0], x], [center[2], z]]) {
+        const high = low + size - 1;
+        const nearest = Math.max(low, Math.min(c, high)) - c;
+        const farthest = Math.max(Math.abs(c - low), Math.abs(c - high));
+        nearestSquared += nearest * nearest;
+        farthestSquared += farthest * farthest;
+    }
+
+    return { nearestSquared, farthestSquared };
+}
\ No newline at end of file
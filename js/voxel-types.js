@@ -4,7 +4,11 @@ export const VoxelType = {
     BEDROCK: 2,
     STONE: 3,
     DIRT: 4,
-    WATER: 5
+    WATER: 5,
+    SAND: 6,
+    SNOW: 7,
+    MUD: 8,
+    ICE: 9
 };
 
 export class VoxelTypeManager {
@@ -63,14 +67,69 @@ export class VoxelTypeManager {
             name: "Water",
             transparent: true,
             solid: true, // Semi-solid for physics
+            fluid: true, // Queries may treat it as non-blocking
             getColor: () => [0.0, 0.3, 0.8, 0.7]
         });
+
+        // Sand
+        this.registerType(VoxelType.SAND, {
+            name: "Sand",
+            transparent: false,
+            solid: true,
+            getColor: () => [0.86, 0.8, 0.55, 1.0]
+        });
+
+        // Snow
+        this.registerType(VoxelType.SNOW, {
+            name: "Snow",
+            transparent: false,
+            solid: true,
+            getColor: () => [0.95, 0.97, 1.0, 1.0]
+        });
+
+        // Mud
+        this.registerType(VoxelType.MUD, {
+            name: "Mud",
+            transparent: false,
+            solid: true,
+            getColor: () => [0.3, 0.25, 0.15, 1.0]
+        });
+
+        // Ice
+        this.registerType(VoxelType.ICE, {
+            name: "Ice",
+            transparent: true,
+            solid: true,
+            getColor: () => [0.7, 0.85, 0.95, 0.8]
+        });
     }
 
     registerType(id, properties) {
         this.types.set(id, properties);
     }
 
+    // Ids of every registered type, including air
+    getTypeIds() {
+        return [...this.types.keys()];
+    }
+
+    // Register a plain solid type with a fixed color under the next free id
+    registerColorType(name, color) {
+        const id = Math.max(...this.types.keys()) + 1;
+        if (id > 0xFFFF) {
+            throw new Error('No voxel type ids left (types are stored as 16 bits)');
+        }
+
+        const rgba = [...color];
+        this.registerType(id, {
+            name,
+            transparent: rgba[3] < 1,
+            solid: true,
+            getColor: () => rgba
+        });
+        return id;
+    }
+
     getType(id) {
         return this.types.get(id) || this.types.get(VoxelType.AIR);
     }
@@ -85,8 +144,15 @@ export class VoxelTypeManager {
         return type.solid;
     }
 
-    getColor(id, face) {
+    // Fluids are solid for physics but can be passed through on request
+    isFluid(id) {
+        const type = this.getType(id);
+        return type.fluid === true;
+    }
+
+    // Metadata is passed through so types can vary color per state
+    getColor(id, face, metadata = 0) {
         const type = this.getType(id);
-        return type.getColor(face);
+        return type.getColor(face, metadata);
     }
 }
\ No newline at end of file
@@ -1,130 +1,156 @@
-import { CHUNK_SIZE, MAX_HEIGHT } from './constants.js';
+import { DEFAULT_WORLD_CONFIG } from './constants.js';
 import { VoxelType } from './voxel-types.js';
-import { Chunk } from './voxel-data.js';
+import { createChunkFromArray } from './chunk-storage.js';
+import { createRandomSeed, deriveSeed, normalizeSeed } from './random.js';
+import { SimplexNoise, domainWarp, fbm, ridged } from './noise.js';
+import { getBiomeWeights } from './biomes.js';
 
 export class WorldGenerator {
-    constructor() {
-        // Seed for reproducible generation
-        this.seed = Math.random() * 10000;
+    constructor(config = DEFAULT_WORLD_CONFIG, seed = createRandomSeed()) {
+        this.config = config;
+        this.setSeed(seed);
+    }
+
+    // Seed for reproducible generation: a number or string, kept as given in
+    // seedSource and as the unsigned 32-bit integer the noise uses in seed
+    setSeed(seed) {
+        this.seedSource = seed;
+        this.seed = normalizeSeed(seed);
+
+        // Every layer gets its own noise so their features don't line up
+        const layer = (name) => new SimplexNoise(deriveSeed(this.seed, name));
+
+        // Land and sea at a large scale, warped so coastlines aren't blobs
+        this.continentNoise = domainWarp(
+            fbm(layer('continents').noise2D, { octaves: 4, frequency: 0.004 }),
+            fbm(layer('continent-warp').noise2D, { octaves: 2, frequency: 0.01 }),
+            { strength: 40 }
+        );
+        this.mountainNoise = ridged(layer('mountains').noise2D, { octaves: 5, frequency: 0.008 });
+        this.hillNoise = fbm(layer('hills').noise2D, { octaves: 3, frequency: 0.04 });
+
+        // Climate that picks the land biomes (see biomes.js)
+        this.temperatureNoise = fbm(layer('temperature').noise2D, { octaves: 3, frequency: 0.0015 });
+        this.humidityNoise = fbm(layer('humidity').noise2D, { octaves: 3, frequency: 0.0015 });
+
+        // Caves follow the zero crossings of two 3D fields; where both are
+        // near zero the surfaces intersect in winding tunnels
+        this.caveNoiseA = fbm(layer('caves-a').noise3D, { octaves: 2, frequency: 0.03 });
+        this.caveNoiseB = fbm(layer('caves-b').noise3D, { octaves: 2, frequency: 0.03 });
     }
 
     // Generate terrain for a chunk
     generateChunk(chunkX, chunkY, chunkZ) {
-        const chunk = new Chunk();
+        const { chunkSize, minHeight, maxHeight } = this.config;
+
+        // Generate into a flat array first, then let the storage layer pick
+        // the cheapest backend for the content
+        const voxelData = new Uint16Array(chunkSize * chunkSize * chunkSize);
 
         // Calculate world position of chunk
-        const worldX = chunkX * CHUNK_SIZE;
-        const worldY = chunkY * CHUNK_SIZE;
-        const worldZ = chunkZ * CHUNK_SIZE;
+        const worldX = chunkX * chunkSize;
+        const worldY = chunkY * chunkSize;
+        const worldZ = chunkZ * chunkSize;
 
         // Generate terrain
-        for (let x = 0; x < CHUNK_SIZE; x++) {
-            for (let z = 0; z < CHUNK_SIZE; z++) {
+        for (let x = 0; x < chunkSize; x++) {
+            for (let z = 0; z < chunkSize; z++) {
                 // World coordinates
                 const wx = worldX + x;
                 const wz = worldZ + z;
 
-                // Generate a height value using noise
-                const baseHeight = this.getHeight(wx, wz);
+                // Height, water level and biome of the column
+                const { height: baseHeight, waterLevel, biome } = this.getColumn(wx, wz);
+                const underwater = baseHeight <= waterLevel;
+                const surfaceType = underwater ? biome.underwaterType
+                    : biome.snowLine !== undefined && baseHeight > biome.snowLine ? VoxelType.SNOW
+                    : biome.surfaceType;
 
                 // Fill voxels up to the height
-                for (let y = 0; y < CHUNK_SIZE; y++) {
+                for (let y = 0; y < chunkSize; y++) {
                     const wy = worldY + y;
 
+                    // Nothing exists outside the vertical world limit
+                    if (wy < minHeight) continue;
+                    if (wy >= maxHeight) break;
+
                     // Determine voxel type based on height
                     let voxelType = VoxelType.AIR;
 
-                    if (wy < baseHeight) {
-                        // Below surface
-                        if (wy < 1) {
-                            voxelType = VoxelType.BEDROCK;
-                        } else if (wy < baseHeight - 5) {
-                            voxelType = VoxelType.STONE;
-                        } else if (wy < baseHeight - 1) {
-                            voxelType = VoxelType.DIRT;
+                    if (wy === minHeight) {
+                        // Bedrock floors the world; worlds without a floor have none
+                        voxelType = VoxelType.BEDROCK;
+                    } else if (wy < baseHeight) {
+                        // Below surface: the biome's surface and subsurface layers over stone
+                        const depth = baseHeight - 1 - wy;
+                        if (depth === 0) {
+                            voxelType = surfaceType;
+                        } else if (depth <= biome.subsurfaceDepth) {
+                            voxelType = biome.subsurfaceType;
                         } else {
-                            voxelType = VoxelType.GRASS;
+                            voxelType = VoxelType.STONE;
                         }
 
                         // Cave generation
-                        if (voxelType !== VoxelType.BEDROCK && this.getCaveNoise(wx, wy, wz) > 0.7) {
+                        if (this.getCaveNoise(wx, wy, wz) > 0.7) {
                             voxelType = VoxelType.AIR;
                         }
-                    } else if (wy < 8) {
-                        // Water
-                        voxelType = VoxelType.WATER;
+                    } else if (wy < waterLevel) {
+                        // Water, frozen over in cold biomes
+                        voxelType = biome.frozen && wy === waterLevel - 1 ? VoxelType.ICE : VoxelType.WATER;
                     }
 
-                    // Set voxel in chunk
-                    chunk.setVoxel(x, y, z, voxelType);
+                    voxelData[(y * chunkSize * chunkSize) + (z * chunkSize) + x] = voxelType;
                 }
             }
         }
 
-        return chunk;
+        return createChunkFromArray(voxelData);
     }
 
-    // Height map generation
-    getHeight(x, z) {
-        // Large scale terrain features
-        const mountainHeight = this.smoothNoise(x * 0.01, z * 0.01) * 40;
-
-        // Medium scale rolling hills
-        const hillHeight = this.smoothNoise(x * 0.05, z * 0.05) * 10;
-
-        // Small scale detail
-        const detailHeight = this.smoothNoise(x * 0.2, z * 0.2) * 3;
+    // Height, water level and dominant biome of the column at x, z. Every
+    // biome's height shaping and water level is blended by its weight, so
+    // they change smoothly across biome borders.
+    getColumn(x, z) {
+        const continent = this.continentNoise(x, z);
+        const hills = this.hillNoise(x, z);
+        const mountains = this.mountainNoise(x, z);
+        const weights = getBiomeWeights(this.temperatureNoise(x, z), this.humidityNoise(x, z), continent);
+
+        let height = 0;
+        let waterLevel = 0;
+        let dominant = weights[0];
+
+        for (const entry of weights) {
+            const { biome, weight } = entry;
+            if (weight === 0) continue;
+
+            height += weight * (biome.baseHeight + continent * biome.continentScale +
+                hills * biome.hillScale + mountains * biome.mountainScale);
+            waterLevel += weight * biome.waterLevel;
+            if (weight > dominant.weight) dominant = entry;
+        }
 
-        // Combine the different scales
-        return Math.floor(10 + mountainHeight + hillHeight + detailHeight);
+        return { height: Math.floor(height), waterLevel: Math.round(waterLevel), biome: dominant.biome };
     }
 
-    // Cave noise function
-    getCaveNoise(x, y, z) {
-        // 3D noise for cave generation
-        return this.smoothNoise3D(x * 0.1, y * 0.1, z * 0.1);
-    }
-
-    // Noise functions
-    smoothNoise(x, z) {
-        // Get integer coordinates
-        const x0 = Math.floor(x);
-        const z0 = Math.floor(z);
-
-        // Get fractional part
-        const xf = x - x0;
-        const zf = z - z0;
-
-        // Get corners
-        const n00 = this.noise2D(x0, z0);
-        const n10 = this.noise2D(x0 + 1, z0);
-        const n01 = this.noise2D(x0, z0 + 1);
-        const n11 = this.noise2D(x0 + 1, z0 + 1);
-
-        // Interpolate
-        const nx0 = this.lerp(n00, n10, xf);
-        const nx1 = this.lerp(n01, n11, xf);
-        return this.lerp(nx0, nx1, zf);
+    // Height map generation
+    getHeight(x, z) {
+        return this.getColumn(x, z).height;
     }
 
-    smoothNoise3D(x, y, z) {
-        // Simplified 3D noise
-        const xy = this.smoothNoise(x, y) * 0.5 + 0.5;
-        const yz = this.smoothNoise(y, z) * 0.5 + 0.5;
-        const xz = this.smoothNoise(x, z) * 0.5 + 0.5;
-
-        return (xy + yz + xz) / 3;
+    // Biome of the column at x, z (one of the definitions in biomes.js)
+    getBiome(x, z) {
+        return this.getColumn(x, z).biome;
     }
 
-    noise2D(x, z) {
-        // Simple hash function with seed
-        const n = Math.sin(x * 12.9898 + z * 78.233 + this.seed) * 43758.5453;
-        return n - Math.floor(n);
-    }
+    // Cave noise function (0 to 1; values above 0.7 are hollowed out)
+    getCaveNoise(x, y, z) {
+        const a = 1 - Math.abs(this.caveNoiseA(x, y, z));
+        const b = 1 - Math.abs(this.caveNoiseB(x, y, z));
 
-    lerp(a, b, t) {
-        // Smooth interpolation
-        const t2 = (1 - Math.cos(t * Math.PI)) / 2;
-        return a * (1 - t2) + b * t2;
+        // Cubed to narrow the tunnels (multiplied out; Math.pow may differ between engines)
+        const tunnel = a * b;
+        return tunnel * tunnel * tunnel;
     }
 }
\ No newline at end of file
@@ -0,0 +1,247 @@
+import { DEFAULT_REGION_SIZE, RegionWriter, getRegionCoords } from './region-file.js';
+
+// Persistent storage adapters for modified chunks. Every adapter implements
+// the same asynchronous interface:
+//   load(key)       - resolves to an ArrayBuffer, or null if nothing is stored
+//   save(key, data) - stores an ArrayBuffer under the key
+//   list()          - resolves to an array of every stored key
+// Keys are chunk keys ("x,y,z"); data is the binary format of Chunk.serialize().
+// The Node filesystem adapter lives in node-file-storage.js so the browser
+// never has to load Node modules.
+
+// Keeps chunks in a Map; edits survive unloading but not page reloads
+export class MemoryStorageAdapter {
+    constructor() {
+        this.entries = new Map();
+    }
+
+    async load(key) {
+        const data = this.entries.get(key);
+        return data ? data.slice(0) : null;
+    }
+
+    async save(key, data) {
+        // Copy so later changes to the caller's buffer cannot alter the stored chunk
+        this.entries.set(key, data.slice(0));
+    }
+
+    async list() {
+        return [...this.entries.keys()];
+    }
+}
+
+// Keeps chunks in an IndexedDB object store so edits survive page reloads
+export class IndexedDBStorageAdapter {
+    constructor(databaseName = 'jsvoxels', storeName = 'chunks') {
+        this.databaseName = databaseName;
+        this.storeName = storeName;
+        this.databasePromise = null;
+    }
+
+    // Open the database on first use
+    openDatabase() {
+        if (!this.databasePromise) {
+            this.databasePromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.databaseName, 1);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(this.storeName);
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.databasePromise;
+    }
+
+    // Run a single request against the object store and resolve with its result
+    async request(mode, makeRequest) {
+        const database = await this.openDatabase();
+        return new Promise((resolve, reject) => {
+            const transaction = database.transaction(this.storeName, mode);
+            const request = makeRequest(transaction.objectStore(this.storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    async load(key) {
+        const data = await this.request('readonly', store => store.get(key));
+        return data || null;
+    }
+
+    async save(key, data) {
+        await this.request('readwrite', store => store.put(data, key));
+    }
+
+    async list() {
+        const keys = await this.request('readonly', store => store.getAllKeys());
+        return keys.map(String);
+    }
+}
+
+// Backing entry of the key index: the chunk coordinates of every stored
+// chunk as little-endian int32 x, y, z triples
+const INDEX_KEY = 'index';
+
+// Groups chunks into region files (see region-file.js) on top of another
+// adapter, so the backing store holds one entry per region instead of one
+// per chunk. Regions stay cached after first use; writes that happen in the
+// same tick are coalesced into a single save per region. A separate index
+// entry lists the stored chunk keys, so listing never reads the regions.
+export class RegionStorageAdapter {
+    constructor(backing, regionSize = DEFAULT_REGION_SIZE) {
+        this.backing = backing;
+        this.regionSize = regionSize;
+        this.regions = new Map();        // Region key -> promise of its RegionWriter
+        this.keysPromise = null;         // Promise of the Set of stored chunk keys
+        this.queuedFlushes = new Map();  // Backing key -> flush that has not started yet
+        this.lastFlushes = new Map();    // Backing key -> most recent flush
+    }
+
+    getRegionKey(regionX, regionY, regionZ) {
+        return `region:${regionX},${regionY},${regionZ}`;
+    }
+
+    // Load (or create) the region holding a chunk key
+    getRegion(key) {
+        const [chunkX, chunkY, chunkZ] = key.split(',').map(Number);
+        const { region, local } = getRegionCoords(chunkX, chunkY, chunkZ, this.regionSize);
+        const regionKey = this.getRegionKey(...region);
+
+        if (!this.regions.has(regionKey)) {
+            const regionPromise = this.backing.load(regionKey).then(data => {
+                if (!data) return new RegionWriter(null, this.regionSize);
+
+                const region = new RegionWriter(data);
+                if (region.regionSize !== this.regionSize) {
+                    throw new Error(`Region ${regionKey} has size ${region.regionSize}, expected ${this.regionSize}`);
+                }
+                return region;
+            });
+
+            // Forget failed loads so the next access tries again
+            regionPromise.catch(() => {
+                if (this.regions.get(regionKey) === regionPromise) {
+                    this.regions.delete(regionKey);
+                }
+            });
+            this.regions.set(regionKey, regionPromise);
+        }
+
+        return { regionKey, local, regionPromise: this.regions.get(regionKey) };
+    }
+
+    // Load the index of stored chunk keys on first use. Stores written
+    // before the index existed are scanned once instead.
+    getKeys() {
+        if (!this.keysPromise) {
+            const keysPromise = this.backing.load(INDEX_KEY).then(data => data ? decodeKeyIndex(data) : this.scanRegions());
+
+            keysPromise.catch(() => {
+                if (this.keysPromise === keysPromise) {
+                    this.keysPromise = null;
+                }
+            });
+            this.keysPromise = keysPromise;
+        }
+        return this.keysPromise;
+    }
+
+    async load(key) {
+        const { local, regionPromise } = this.getRegion(key);
+        const region = await regionPromise;
+        return region.read(...local);
+    }
+
+    async save(key, data) {
+        const keys = await this.getKeys();
+
+        // Index a new chunk before writing it: a listed chunk that is missing
+        // just loads as nothing, while a stored chunk missing from the index
+        // would be generated afresh and later saved over
+        if (!keys.has(key)) {
+            keys.add(key);
+            try {
+                await this.flush(INDEX_KEY, () => encodeKeyIndex(keys));
+            } catch (error) {
+                keys.delete(key);
+                throw error;
+            }
+        }
+
+        const { regionKey, local, regionPromise } = this.getRegion(key);
+        const region = await regionPromise;
+        region.write(...local, data);
+        await this.flush(regionKey, () => region.toArrayBuffer());
+    }
+
+    // Write an entry (a region or the index) to the backing store once the
+    // current tick's changes are in, serializing it only then. Flushes of the
+    // same entry run one after another, never concurrently.
+    flush(backingKey, serialize) {
+        if (!this.queuedFlushes.has(backingKey)) {
+            const previous = this.lastFlushes.get(backingKey) || Promise.resolve();
+            const flush = previous.catch(() => {}).then(() => {
+                this.queuedFlushes.delete(backingKey);
+                return this.backing.save(backingKey, serialize());
+            });
+            this.queuedFlushes.set(backingKey, flush);
+            this.lastFlushes.set(backingKey, flush);
+        }
+        return this.queuedFlushes.get(backingKey);
+    }
+
+    async list() {
+        return [...await this.getKeys()];
+    }
+
+    // Collect the chunk keys of every stored region (stores without an index)
+    async scanRegions() {
+        const keys = new Set();
+
+        for (const regionKey of await this.backing.list()) {
+            if (!regionKey.startsWith('region:')) continue;
+
+            const [regionX, regionY, regionZ] = regionKey.slice('region:'.length).split(',').map(Number);
+            const { regionPromise } = this.getRegion(this.getChunkKeyInRegion(regionX, regionY, regionZ, [0, 0, 0]));
+            const region = await regionPromise;
+
+            for (const local of region.listChunks()) {
+                keys.add(this.getChunkKeyInRegion(regionX, regionY, regionZ, local));
+            }
+        }
+
+        return keys;
+    }
+
+    getChunkKeyInRegion(regionX, regionY, regionZ, [x, y, z]) {
+        const size = this.regionSize;
+        return `${regionX * size + x},${regionY * size + y},${regionZ * size + z}`;
+    }
+}
+
+function encodeKeyIndex(keys) {
+    const view = new DataView(new ArrayBuffer(keys.size * 12));
+    let offset = 0;
+    for (const key of keys) {
+        for (const coord of key.split(',').map(Number)) {
+            view.setInt32(offset, coord, true);
+            offset += 4;
+        }
+    }
+    return view.buffer;
+}
+
+function decodeKeyIndex(data) {
+    const view = new DataView(data);
+    if (view.byteLength % 12 !== 0) {
+        throw new Error(`Chunk key index truncated: ${view.byteLength} bytes is not a multiple of 12`);
+    }
+
+    const keys = new Set();
+    for (let offset = 0; offset < view.byteLength; offset += 12) {
+        keys.add(`${view.getInt32(offset, true)},${view.getInt32(offset + 4, true)},${view.getInt32(offset + 8, true)}`);
+    }
+    return keys;
+}
\ No newline at end of file
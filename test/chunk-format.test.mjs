@@ -0,0 +1,166 @@
+// Round trips and corrupt input for the binary chunk and patch formats and
+// the palette backend's index packing. Run with: node --test test/
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Chunk } from '../js/voxel-data.js';
+import { PaletteChunk, convertChunk } from '../js/chunk-storage.js';
+
+// A 16^3 chunk with a solid floor, a few single voxels and metadata
+function createSampleChunk() {
+    const chunk = new Chunk(16);
+    chunk.fillBox([0, 0, 0], [15, 3, 15], 1);
+    chunk.fillBox([4, 4, 4], [7, 7, 7], 2, 9);
+    chunk.setVoxel(10, 12, 3, 3, 0xFFFF);
+    chunk.setVoxel(15, 15, 15, 0xFFFF, 1);
+    return chunk;
+}
+
+function assertSameVoxels(actual, expected) {
+    assert.equal(actual.size, expected.size);
+    assert.deepEqual(actual.toArray(), expected.toArray());
+    assert.deepEqual(actual.toMetadataArray(), expected.toMetadataArray());
+    assert.equal(actual.nonEmptyVoxelCount, expected.nonEmptyVoxelCount);
+}
+
+test('chunk serialization round trips voxels and metadata', () => {
+    const chunk = createSampleChunk();
+    const restored = Chunk.deserialize(chunk.serialize());
+
+    assertSameVoxels(restored, chunk);
+    assert.equal(restored.countNodes(), chunk.countNodes());
+});
+
+test('chunk serialization round trips empty and single-voxel chunks', () => {
+    assertSameVoxels(Chunk.deserialize(new Chunk(16).serialize()), new Chunk(16));
+
+    const single = new Chunk(1);
+    single.setVoxel(0, 0, 0, 4, 2);
+    assertSameVoxels(Chunk.deserialize(single.serialize()), single);
+});
+
+test('chunk deserialization accepts typed array views at an offset', () => {
+    const data = new Uint8Array(createSampleChunk().serialize());
+    const padded = new Uint8Array(data.length + 3);
+    padded.set(data, 3);
+
+    assertSameVoxels(Chunk.deserialize(padded.subarray(3)), createSampleChunk());
+});
+
+test('chunk deserialization reads version 1 data without metadata', () => {
+    // One branch over eight leaves: every voxel type is stored as a bare u16
+    const bytes = new Uint8Array(10 + 2 + 8 * 2);
+    const view = new DataView(bytes.buffer);
+    view.setUint8(0, 1);
+    view.setUint8(1, 1);
+    view.setUint32(2, 9, true);
+    view.setUint32(6, 8, true);
+    bytes[10] = 1;
+    for (let i = 0; i < 8; i++) {
+        view.setUint16(12 + i * 2, i, true);
+    }
+
+    const chunk = Chunk.deserialize(bytes);
+    assert.equal(chunk.size, 2);
+    assert.equal(chunk.nonEmptyVoxelCount, 7);
+    assert.ok(chunk.toMetadataArray().every(value => value === 0));
+});
+
+test('chunk deserialization rejects corrupt and truncated data', () => {
+    const data = new Uint8Array(createSampleChunk().serialize());
+
+    const corrupt = (edit) => {
+        const bytes = data.slice();
+        edit(bytes, new DataView(bytes.buffer));
+        return bytes;
+    };
+
+    assert.throws(() => Chunk.deserialize(data.subarray(0, 9)), /header needs/);
+    assert.throws(() => Chunk.deserialize(data.subarray(0, data.length - 1)), /truncated/);
+    assert.throws(() => Chunk.deserialize(corrupt(bytes => { bytes[0] = 99; })), /Unsupported chunk format version/);
+    assert.throws(() => Chunk.deserialize(corrupt(bytes => { bytes[1] = 9; })), /log2 chunk size/);
+    assert.throws(() => Chunk.deserialize(corrupt(bytes => { bytes[1] = 32; })), /log2 chunk size/);
+    assert.throws(() => Chunk.deserialize(corrupt((bytes, view) => view.setUint32(2, 1, true))), /Corrupt chunk data/);
+    assert.throws(() => Chunk.deserialize(corrupt((bytes, view) => view.setUint32(6, 1, true))), /Corrupt chunk data/);
+
+    // Every node marked as a branch runs into single voxels
+    assert.throws(() => Chunk.deserialize(corrupt((bytes, view) => {
+        bytes.fill(0xFF, 10, 10 + Math.ceil(view.getUint32(2, true) / 8));
+    })), /Corrupt chunk data/);
+});
+
+test('patches round trip through their binary encoding', () => {
+    const before = createSampleChunk();
+    const after = before.clone();
+    after.fillBox([0, 0, 0], [7, 7, 7], 0);
+    after.setVoxel(12, 9, 1, 5, 300);
+
+    const patch = before.diff(after);
+    const decoded = Chunk.deserializePatch(Chunk.serializePatch(patch));
+    assert.deepEqual(decoded, patch);
+
+    const patched = before.clone();
+    assert.equal(patched.applyPatch(decoded), true);
+    assertSameVoxels(patched, after);
+    assert.equal(patched.applyPatch(decoded), false);
+});
+
+test('patch deserialization rejects corrupt and truncated data', () => {
+    const data = new Uint8Array(Chunk.serializePatch([
+        { x: 0, y: 0, z: 0, size: 8, voxelType: 1, metadata: 0 }
+    ]));
+
+    assert.deepEqual(Chunk.deserializePatch(new ArrayBuffer(0)), []);
+    assert.throws(() => Chunk.deserializePatch(data.subarray(0, 7)), /truncated/);
+
+    const corrupt = data.slice();
+    corrupt[3] = 40;
+    assert.throws(() => Chunk.deserializePatch(corrupt), /log2 size/);
+});
+
+test('palette chunks widen their indices as entries are added', () => {
+    const chunk = new PaletteChunk(8);
+    assert.equal(chunk.bitsPerIndex, 1);
+
+    // 300 distinct entries go through every width up to 16 bits
+    const expected = new Map();
+    for (let i = 0; i < 300; i++) {
+        const x = i % 8;
+        const y = Math.floor(i / 64) % 8;
+        const z = Math.floor(i / 8) % 8;
+        chunk.setVoxel(x, y, z, 1 + (i % 50), Math.floor(i / 50));
+        expected.set(`${x},${y},${z}`, [1 + (i % 50), Math.floor(i / 50)]);
+    }
+
+    assert.equal(chunk.bitsPerIndex, 16);
+    assert.equal(chunk.palette.length, 301);
+    for (const [key, [voxelType, metadata]] of expected) {
+        const [x, y, z] = key.split(',').map(Number);
+        assert.equal(chunk.getVoxel(x, y, z), voxelType);
+        assert.equal(chunk.getVoxelData(x, y, z), metadata);
+    }
+    assert.equal(chunk.getVoxel(7, 7, 7), 0);
+    assert.equal(chunk.nonEmptyVoxelCount, expected.size);
+});
+
+test('palette chunks keep their contents through conversion and serialization', () => {
+    const octree = createSampleChunk();
+    const palette = convertChunk(octree, 'palette');
+    assert.equal(palette.storageType, 'palette');
+    assert.equal(palette.palette.length, 5);
+    assert.equal(palette.bitsPerIndex, 4);
+    assertSameVoxels(palette, octree);
+
+    const restored = Chunk.deserialize(convertChunk(palette, 'octree').serialize());
+    assertSameVoxels(restored, octree);
+});
+
+test('palette chunks refuse entries past 16-bit indices', () => {
+    const chunk = new PaletteChunk(64);
+    chunk.palette = Array.from({ length: 0x10000 }, (_, i) => i);
+    chunk.paletteLookup = new Map(chunk.palette.map((entry, i) => [entry, i]));
+    chunk.repack(16);
+
+    assert.throws(() => chunk.setVoxel(0, 0, 0, 1, 1), /Palette chunk is full/);
+    assert.equal(chunk.getVoxel(0, 0, 0), 0);
+});
\ No newline at end of file
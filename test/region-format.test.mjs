@@ -0,0 +1,175 @@
+// Round trips and corrupt input for region files, their RLE compression and
+// the chunk key index kept by RegionStorageAdapter. Run with: node --test test/
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    RegionReader, RegionWriter, SECTOR_SIZE, compressRle, decompressRle, getRegionCoords
+} from '../js/region-file.js';
+import { MemoryStorageAdapter, RegionStorageAdapter } from '../js/world-storage.js';
+
+function bytesOf(buffer) {
+    return [...new Uint8Array(buffer)];
+}
+
+// Deterministic bytes with both long runs and noise
+function createSampleData(length, seed) {
+    const bytes = new Uint8Array(length);
+    let state = seed;
+    for (let i = 0; i < length; i++) {
+        state = (state * 1103515245 + 12345) >>> 0;
+        bytes[i] = (i >> 6) % 3 === 0 ? 7 : state >>> 24;
+    }
+    return bytes;
+}
+
+test('RLE round trips runs, literals and the run length limits', () => {
+    const inputs = [
+        [],
+        [5],
+        [1, 2],
+        [9, 9, 9],
+        new Array(130).fill(4),
+        new Array(131).fill(4),
+        new Array(400).fill(0),
+        Array.from({ length: 129 }, (_, i) => i),
+        [1, 1, 2, 2, 3, 3, 3, 3, 4],
+        [...createSampleData(2000, 1)]
+    ];
+
+    for (const input of inputs) {
+        const bytes = new Uint8Array(input);
+        assert.deepEqual(decompressRle(compressRle(bytes)), bytes);
+    }
+
+    assert.ok(compressRle(new Uint8Array(4096)).length < 100);
+});
+
+test('RLE decompression rejects runs past the end of the data', () => {
+    assert.throws(() => decompressRle(new Uint8Array([3, 1, 2])), /literal run past end/);
+    assert.throws(() => decompressRle(new Uint8Array([200])), /repeat run past end/);
+});
+
+test('region coordinates split negative chunk coordinates', () => {
+    assert.deepEqual(getRegionCoords(-1, 8, 15, 8), { region: [-1, 1, 1], local: [7, 0, 7] });
+    assert.deepEqual(getRegionCoords(0, -9, 7, 8), { region: [0, -2, 0], local: [0, 7, 7] });
+});
+
+test('region files round trip chunk data', () => {
+    const writer = new RegionWriter(null, 4);
+    const chunks = [
+        [[0, 0, 0], createSampleData(1000, 1)],
+        [[3, 3, 3], new Uint8Array(5000)],
+        [[1, 2, 3], createSampleData(10, 2)]
+    ];
+    for (const [local, data] of chunks) {
+        writer.write(...local, data);
+    }
+
+    const reader = new RegionReader(writer.toArrayBuffer());
+    assert.equal(reader.regionSize, 4);
+    assert.deepEqual(reader.listChunks(), [[0, 0, 0], [1, 2, 3], [3, 3, 3]]);
+    for (const [local, data] of chunks) {
+        assert.deepEqual(bytesOf(reader.read(...local)), [...data]);
+    }
+    assert.equal(reader.read(2, 2, 2), null);
+    assert.throws(() => reader.read(4, 0, 0), /outside a region/);
+});
+
+test('region files reuse and free sectors on rewrite and delete', () => {
+    const writer = new RegionWriter(null, 2);
+    writer.write(0, 0, 0, createSampleData(3 * SECTOR_SIZE, 1));
+    writer.write(1, 0, 0, createSampleData(SECTOR_SIZE, 2));
+    const length = writer.toArrayBuffer().byteLength;
+
+    // A smaller version stays in place; the freed sectors take the next chunk
+    const firstSector = writer.getEntry(0, 0, 0).sector;
+    writer.write(0, 0, 0, createSampleData(10, 3));
+    assert.equal(writer.getEntry(0, 0, 0).sector, firstSector);
+    writer.write(0, 1, 0, createSampleData(SECTOR_SIZE, 4));
+    assert.equal(writer.getEntry(0, 1, 0).sector, firstSector + 1);
+    assert.equal(writer.toArrayBuffer().byteLength, length);
+
+    // Reopening a buffer keeps the sector map and leaves the buffer untouched
+    const buffer = writer.toArrayBuffer();
+    const before = bytesOf(buffer);
+    const reopened = new RegionWriter(buffer);
+    assert.equal(reopened.delete(1, 0, 0), true);
+    assert.equal(reopened.delete(1, 0, 0), false);
+    assert.deepEqual(bytesOf(buffer), before);
+    assert.ok(reopened.toArrayBuffer().byteLength < length);
+    assert.deepEqual(bytesOf(reopened.read(0, 0, 0)), [...createSampleData(10, 3)]);
+});
+
+test('region files reject corrupt and truncated data', () => {
+    const writer = new RegionWriter(null, 2);
+    writer.write(0, 0, 0, createSampleData(600, 1));
+    const data = new Uint8Array(writer.toArrayBuffer());
+
+    const corrupt = (edit) => {
+        const bytes = data.slice();
+        edit(bytes, new DataView(bytes.buffer));
+        return bytes.buffer;
+    };
+
+    assert.throws(() => new RegionReader(data.slice(0, 7).buffer), /truncated/);
+    assert.throws(() => new RegionReader(corrupt(bytes => { bytes[0] = 0; })), /bad magic/);
+    assert.throws(() => new RegionReader(corrupt(bytes => { bytes[4] = 9; })), /Unsupported region format version/);
+    assert.throws(() => new RegionReader(corrupt(bytes => { bytes[5] = 7; })), /exceeds maximum/);
+    assert.throws(() => new RegionReader(corrupt(bytes => { bytes[5] = 31; })), /exceeds maximum/);
+    assert.throws(() => new RegionReader(corrupt(bytes => { bytes[5] = 6; })), /offset table needs/);
+
+    // Entries pointing outside the file, and unknown compression
+    const { sector } = writer.getEntry(0, 0, 0);
+    assert.throws(() => new RegionReader(corrupt((bytes, view) => view.setUint32(12, 5000, true))).read(0, 0, 0), /past end of file/);
+    assert.throws(() => new RegionReader(data.slice(0, sector * SECTOR_SIZE + 10).buffer).read(0, 0, 0), /past end of file/);
+    assert.throws(() => new RegionReader(corrupt(bytes => { bytes[sector * SECTOR_SIZE] = 7; })).read(0, 0, 0), /Unknown compression/);
+
+    assert.throws(() => new RegionWriter(null, 3), /power of two/);
+    assert.throws(() => new RegionWriter(null, 128), /power of two/);
+});
+
+test('region storage lists chunks from its key index without reading regions', async () => {
+    const backing = new MemoryStorageAdapter();
+    const storage = new RegionStorageAdapter(backing);
+    const keys = ['0,0,0', '-1,-20,300', '7,7,7', '-2147483648,2147483647,0'];
+    await Promise.all(keys.map((key, i) => storage.save(key, createSampleData(100, i).buffer)));
+
+    const loads = [];
+    const load = backing.load.bind(backing);
+    backing.load = key => { loads.push(key); return load(key); };
+
+    const reopened = new RegionStorageAdapter(backing);
+    assert.deepEqual((await reopened.list()).sort(), [...keys].sort());
+    assert.deepEqual(loads, ['index']);
+    for (const [i, key] of keys.entries()) {
+        assert.deepEqual(bytesOf(await reopened.load(key)), [...createSampleData(100, i)]);
+    }
+    assert.equal(await reopened.load('1,1,1'), null);
+});
+
+test('region storage scans regions when the key index is missing', async () => {
+    const backing = new MemoryStorageAdapter();
+    const storage = new RegionStorageAdapter(backing);
+    await storage.save('3,-4,5', new Uint8Array([1, 2, 3]).buffer);
+    await storage.save('20,0,0', new Uint8Array([4]).buffer);
+    backing.entries.delete('index');
+
+    const reopened = new RegionStorageAdapter(backing);
+    assert.deepEqual((await reopened.list()).sort(), ['20,0,0', '3,-4,5']);
+});
+
+test('region storage rejects a truncated key index and retries the next listing', async () => {
+    const backing = new MemoryStorageAdapter();
+    const storage = new RegionStorageAdapter(backing);
+    await storage.save('1,2,3', new Uint8Array([1]).buffer);
+
+    const index = backing.entries.get('index');
+    backing.entries.set('index', index.slice(0, 10));
+
+    const reopened = new RegionStorageAdapter(backing);
+    await assert.rejects(reopened.list(), /key index truncated/);
+
+    backing.entries.set('index', index);
+    assert.deepEqual(await reopened.list(), ['1,2,3']);
+});
\ No newline at end of file